@@ -0,0 +1,244 @@
+/**
+ * Analytics
+ * Métricas de uso sem cookies e sem dados pessoais: visualizações de página,
+ * cliques nos links dos projetos e das redes sociais, profundidade de rolagem e tempo na página.
+ * Nada é coletado se o navegador pedir Do Not Track (ou Global Privacy Control).
+ *
+ * Configuração pelos data-* da tag <script>:
+ * - data-endpoint: URL que recebe os lotes de eventos (POST via navigator.sendBeacon)
+ * - data-sink: beacon (padrão quando há endpoint), console ou storage (testes locais)
+ * Sem endpoint nem sink, o módulo fica desligado.
+ */
+
+const Analytics = {
+    /**
+     * Configuração lida da tag <script> deste arquivo
+     */
+    config: document.currentScript ? { ...document.currentScript.dataset } : {},
+
+    /**
+     * Eventos enviados juntos quando a fila atinge este tamanho
+     */
+    batchSize: 10,
+
+    /**
+     * Tempo máximo (ms) que um evento espera na fila
+     */
+    flushDelay: 10000,
+
+    /**
+     * Marcos de profundidade de rolagem (%)
+     */
+    scrollMilestones: [25, 50, 75, 100],
+
+    enabled: false,
+
+    init() {
+        if (this.isDoNotTrack()) {
+            return;
+        }
+
+        const type = this.config.sink || (this.config.endpoint ? 'beacon' : null);
+
+        if (!type) {
+            return;
+        }
+
+        this.batcher = Utils.createBatcher({
+            sink: type,
+            endpoint: this.config.endpoint,
+            field: 'events',
+            label: 'analytics',
+            storageKey: 'analyticsEvents',
+            maxStored: 500,
+            batchSize: this.batchSize,
+            flushDelay: this.flushDelay
+        });
+
+        if (!this.batcher) {
+            console.warn(`Destino de analytics desconhecido: ${type}`);
+            return;
+        }
+
+        this.enabled = true;
+
+        this.startPage();
+        this.handleScroll = Utils.throttle(this.handleScroll.bind(this), 250);
+
+        // Primeira visualização quando o Portfolio termina de carregar; as seguintes vêm do Router
+        document.addEventListener('portfolioLoaded', () => this.pageView());
+        document.addEventListener('pageLoaded', () => {
+            this.startPage();
+            this.pageView();
+        });
+        document.addEventListener('pageUnload', () => this.reportEngagement());
+
+        document.addEventListener('portfolioInstalled', () => this.track('install'));
+        document.addEventListener('languageChanged', (e) => this.track('language', { locale: e.detail.locale }));
+
+        document.addEventListener('click', (e) => this.handleClick(e));
+        window.addEventListener('scroll', this.handleScroll, { passive: true });
+
+        // Aba escondida ou fechada: pode ser a última chance de enviar
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.reportEngagement();
+                this.flush();
+            } else {
+                this.visibleSince = Date.now();
+            }
+        });
+        window.addEventListener('pagehide', () => {
+            this.reportEngagement();
+            this.flush();
+        });
+    },
+
+    /**
+     * Do Not Track ou Global Privacy Control ativos
+     * @returns {boolean}
+     */
+    isDoNotTrack() {
+        const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+        return dnt === '1' || dnt === 'yes' || navigator.globalPrivacyControl === true;
+    },
+
+    /**
+     * Zerar as medições da página atual
+     */
+    startPage() {
+        // O Router já trocou a URL quando avisa a saída: guardar o caminho da página medida
+        this.path = window.location.pathname;
+        this.maxDepth = 0;
+        this.engagedMs = 0;
+        this.visibleSince = document.hidden ? null : Date.now();
+    },
+
+    /**
+     * Enfileirar um evento. Só entram o tipo, a página, o idioma e os dados
+     * passados aqui: nenhum identificador do visitante.
+     * @param {string} type
+     * @param {Object} data
+     */
+    track(type, data = {}) {
+        if (!this.enabled) return;
+
+        this.batcher.push({
+            type,
+            path: this.path,
+            locale: typeof I18n !== 'undefined' ? I18n.locale : document.documentElement.lang,
+            time: Date.now(),
+            ...data
+        });
+    },
+
+    /**
+     * Visualização de página, com o site de origem apenas quando for externo
+     */
+    pageView() {
+        const data = {};
+
+        try {
+            const referrer = document.referrer && new URL(document.referrer);
+            if (referrer && referrer.origin !== window.location.origin) {
+                data.referrer = referrer.hostname;
+            }
+        } catch {
+            // Referrer inválido: ignorar
+        }
+
+        this.track('pageview', data);
+    },
+
+    /**
+     * Cliques nos links dos projetos (cards e modal) e nas redes sociais
+     * @param {MouseEvent} e
+     */
+    handleClick(e) {
+        const projectLink = e.target.closest('[data-project-link]');
+
+        if (projectLink) {
+            const project = projectLink.closest('[data-id]');
+            this.track('project_link', {
+                project: project ? project.getAttribute('data-id') : null,
+                link: projectLink.getAttribute('data-project-link')
+            });
+            return;
+        }
+
+        const socialLink = e.target.closest('.social-link[href]');
+
+        if (socialLink) {
+            this.track('social_link', { network: this.getNetwork(socialLink.href) });
+        }
+    },
+
+    /**
+     * Nome da rede a partir do link (o endereço de email não é enviado)
+     * @param {string} href
+     * @returns {string}
+     */
+    getNetwork(href) {
+        const url = new URL(href, window.location.href);
+
+        if (url.protocol === 'mailto:') {
+            return 'email';
+        }
+
+        return url.hostname.replace(/^www\./, '').split('.')[0];
+    },
+
+    /**
+     * Registrar cada marco de rolagem uma vez por página
+     */
+    handleScroll() {
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        const depth = scrollable > 0
+            ? Math.round(Utils.clamp(window.pageYOffset / scrollable, 0, 1) * 100)
+            : 100;
+
+        this.scrollMilestones
+            .filter(milestone => milestone > this.maxDepth && milestone <= depth)
+            .forEach(milestone => this.track('scroll', { depth: milestone }));
+
+        this.maxDepth = Math.max(this.maxDepth, depth);
+    },
+
+    /**
+     * Tempo com a página visível desde o último registro, em segundos
+     */
+    reportEngagement() {
+        if (this.visibleSince) {
+            this.engagedMs += Date.now() - this.visibleSince;
+            this.visibleSince = null;
+        }
+
+        const seconds = Math.round(this.engagedMs / 1000);
+        this.engagedMs = 0;
+
+        if (seconds > 0) {
+            this.track('engagement', { seconds, depth: this.maxDepth });
+        }
+    },
+
+    /**
+     * Enviar os eventos enfileirados
+     */
+    flush() {
+        if (this.batcher) {
+            this.batcher.flush();
+        }
+    }
+};
+
+// Começar a medir quando o DOM estiver pronto
+document.addEventListener('DOMContentLoaded', () => {
+    Analytics.init();
+});
+
+// Exportar para uso em outros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Analytics;
+} else if (typeof window !== 'undefined') {
+    window.Analytics = Analytics;
+}
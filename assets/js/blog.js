@@ -0,0 +1,298 @@
+/**
+ * Blog
+ * Lista de posts com filtro por tag e página do post renderizada a partir de Markdown
+ */
+
+class Blog {
+    /**
+     * @param {string|Element} container - ID ou elemento onde o blog será renderizado
+     * @param {Object} options
+     * @param {string} options.source - Caminho do índice de posts (JSON)
+     * @param {string} options.postsPath - Pasta onde ficam os arquivos Markdown
+     */
+    constructor(container, options = {}) {
+        this.container = typeof container === 'string'
+            ? document.getElementById(container)
+            : container;
+        this.source = options.source || this.container.dataset.source || '../data/posts/index.json';
+        this.postsPath = options.postsPath || this.container.dataset.postsPath || '../data/posts/';
+        this.wordsPerMinute = options.wordsPerMinute || 200;
+        this.posts = [];
+        this.handlePopState = this.handlePopState.bind(this);
+        this.handleLanguageChange = this.handleLanguageChange.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.bindEvents();
+        this.ready = I18n.ready.then(() => this.load()).then(() => this.route());
+    }
+
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-post], [data-tag], [data-blog-home]');
+
+            // Deixar Ctrl/Cmd-clique abrir em nova aba normalmente
+            if (!link || e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+
+            e.preventDefault();
+
+            if (link.dataset.post) {
+                Utils.url.setParam('post', link.dataset.post);
+            } else if (link.dataset.tag !== undefined) {
+                Utils.url.removeParam('post', true);
+                if (link.dataset.tag) {
+                    Utils.url.setParam('tag', link.dataset.tag);
+                } else {
+                    Utils.url.removeParam('tag');
+                }
+            } else {
+                Utils.url.removeParam('post');
+            }
+
+            this.route();
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+        });
+
+        window.addEventListener('popstate', this.handlePopState);
+        document.addEventListener('languageChanged', this.handleLanguageChange);
+    }
+
+    /**
+     * Remover listeners globais (ao sair da página pelo Router)
+     */
+    destroy() {
+        window.removeEventListener('popstate', this.handlePopState);
+        document.removeEventListener('languageChanged', this.handleLanguageChange);
+    }
+
+    /**
+     * Voltar/avançar do navegador. Âncoras do sumário criam entradas no histórico
+     * dentro do mesmo post: nesse caso o navegador só rola até o título.
+     */
+    handlePopState() {
+        const slug = Utils.url.getParam('post');
+
+        if (slug && slug === this.currentPost) return;
+
+        this.route();
+    }
+
+    /**
+     * Redesenhar a lista ou o post no novo idioma (depois do carregamento inicial)
+     */
+    handleLanguageChange() {
+        this.ready.then(() => this.route());
+    }
+
+    /**
+     * Carregar o índice de posts
+     * @returns {Promise<Array>}
+     */
+    async load() {
+        this.renderState('loading', I18n.t('blog.loading'));
+
+        try {
+            const response = await fetch(this.source);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ao carregar ${this.source}`);
+            }
+
+            const data = await response.json();
+
+            this.posts = (Array.isArray(data) ? data : [])
+                .filter(post => post && post.slug && post.title && post.date && post.file)
+                .map(post => ({ ...post, tags: Array.isArray(post.tags) ? post.tags : [] }))
+                .sort((a, b) => new Date(b.date) - new Date(a.date));
+        } catch (error) {
+            console.error('Erro ao carregar posts:', error);
+            this.posts = null;
+        }
+
+        return this.posts;
+    }
+
+    /**
+     * Decidir entre lista e post a partir da URL
+     */
+    route() {
+        if (this.posts === null) {
+            this.renderState('error', I18n.t('blog.error'));
+            return;
+        }
+
+        const slug = Utils.url.getParam('post');
+        this.currentPost = slug;
+
+        if (slug) {
+            this.renderPost(slug);
+        } else {
+            this.renderList(Utils.url.getParam('tag'));
+        }
+    }
+
+    /**
+     * @param {string} state - loading | empty | error
+     * @param {string} message
+     */
+    renderState(state, message) {
+        this.container.setAttribute('aria-busy', state === 'loading' ? 'true' : 'false');
+        Utils.render.into(this.container, Utils.html`<p class="${state}-state" role="${state === 'error' ? 'alert' : 'status'}">${message}</p>`);
+    }
+
+    /**
+     * Converter a data do post (AAAA-MM-DD) em Date local, sem deslocamento de fuso
+     * @param {string} date
+     * @returns {Date}
+     */
+    parseDate(date) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(date) ? new Date(`${date}T00:00:00`) : new Date(date);
+    }
+
+    /**
+     * Estimar tempo de leitura
+     * @param {string} text
+     * @returns {number} Minutos (mínimo 1)
+     */
+    readingTime(text) {
+        const words = text.trim().split(/\s+/).filter(Boolean).length;
+        return Math.max(1, Math.round(words / this.wordsPerMinute));
+    }
+
+    /**
+     * Lista de posts com filtro por tag
+     * @param {string|null} activeTag
+     */
+    renderList(activeTag) {
+        const tags = [...new Set(this.posts.flatMap(post => post.tags))].sort();
+        const posts = activeTag
+            ? this.posts.filter(post => post.tags.includes(activeTag))
+            : this.posts;
+
+        // Título lido a cada renderização para acompanhar o idioma ativo
+        document.title = I18n.t('meta.blog.title');
+        this.container.setAttribute('aria-busy', 'false');
+
+        if (this.posts.length === 0) {
+            this.renderState('empty', I18n.t('blog.empty'));
+            return;
+        }
+
+        Utils.render.into(this.container, Utils.html`
+            <div class="blog-tags" role="group" aria-label="${I18n.t('blog.filterByTag')}">
+                <a href="?" class="filter-chip" data-tag="" aria-pressed="${!activeTag}">${I18n.t('blog.all')}</a>
+                ${tags.map(tag => Utils.html`
+                    <a href="?tag=${encodeURIComponent(tag)}" class="filter-chip" data-tag="${tag}" aria-pressed="${tag === activeTag}">#${tag}</a>
+                `)}
+            </div>
+            ${posts.length === 0 ? Utils.html`
+                <p class="empty-state" role="status">${I18n.t('blog.noPostsWithTag', { tag: activeTag })}</p>
+            ` : Utils.html`
+                <div class="blog-list">
+                    ${posts.map(post => Utils.html`
+                        <article class="blog-card">
+                            <time class="blog-date" datetime="${post.date}">${Utils.formatDate(this.parseDate(post.date))}</time>
+                            <h2 class="blog-card-title">
+                                <a href="?post=${encodeURIComponent(post.slug)}" data-post="${post.slug}">${post.title}</a>
+                            </h2>
+                            ${post.summary ? Utils.html`<p class="blog-summary">${post.summary}</p>` : ''}
+                            <div class="tech-tags blog-card-tags">
+                                ${post.tags.map(tag => Utils.html`<span class="tech-tag">#${tag}</span>`)}
+                            </div>
+                        </article>
+                    `)}
+                </div>
+            `}
+        `);
+    }
+
+    /**
+     * Página de um post
+     * @param {string} slug
+     */
+    async renderPost(slug) {
+        const post = this.posts.find(item => item.slug === slug);
+
+        if (!post) {
+            this.renderState('error', I18n.t('blog.notFound'));
+            return;
+        }
+
+        this.renderState('loading', I18n.t('blog.loadingPost'));
+
+        try {
+            const response = await fetch(this.postsPath + post.file);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ao carregar ${post.file}`);
+            }
+
+            const source = await response.text();
+
+            // O usuário pode ter navegado para outro post enquanto este carregava
+            if (Utils.url.getParam('post') !== slug) return;
+
+            const { html, headings } = Markdown.render(source);
+            const toc = headings.filter(heading => heading.level >= 2 && heading.level <= 3);
+            const minutes = this.readingTime(source);
+
+            document.title = `${post.title} - ${I18n.t('meta.blog.title')}`;
+            this.container.setAttribute('aria-busy', 'false');
+            Utils.render.into(this.container, Utils.html`
+                <article class="blog-post">
+                    <a href="?" class="blog-back" data-blog-home>&larr; ${I18n.t('blog.back')}</a>
+                    <header class="blog-post-header">
+                        <h1 class="blog-post-title">${post.title}</h1>
+                        <p class="blog-meta">
+                            <time datetime="${post.date}">${Utils.formatDate(this.parseDate(post.date))}</time>
+                            ${post.updated ? Utils.html`· ${I18n.t('blog.updated')} <time datetime="${post.updated}">${Utils.formatDate(this.parseDate(post.updated))}</time>` : ''}
+                            · ${I18n.t('blog.readingTime', { minutes })}
+                        </p>
+                        <div class="tech-tags blog-card-tags">
+                            ${post.tags.map(tag => Utils.html`<a href="?tag=${encodeURIComponent(tag)}" class="tech-tag" data-tag="${tag}">#${tag}</a>`)}
+                        </div>
+                    </header>
+                    ${toc.length > 1 ? Utils.html`
+                        <nav class="blog-toc" aria-label="${I18n.t('blog.toc')}">
+                            <h2 class="blog-toc-title">${I18n.t('blog.toc')}</h2>
+                            <ol>
+                                ${toc.map(heading => Utils.html`
+                                    <li class="toc-level-${heading.level}"><a href="#${heading.id}">${heading.text}</a></li>
+                                `)}
+                            </ol>
+                        </nav>
+                    ` : ''}
+                    <div class="blog-content">${Utils.trustedHTML(html)}</div>
+                </article>
+            `);
+        } catch (error) {
+            console.error('Erro ao carregar post:', error);
+            this.renderState('error', I18n.t('blog.errorPost'));
+        }
+    }
+}
+
+// Auto-inicializar quando o DOM estiver pronto e a cada página trocada pelo Router
+['DOMContentLoaded', 'pageLoaded'].forEach(type => {
+    document.addEventListener(type, () => {
+        const container = document.getElementById('blog');
+        if (container) {
+            window.blog = new Blog(container);
+        }
+    });
+});
+
+// Desmontar ao sair da página pelo Router
+document.addEventListener('pageUnload', () => {
+    if (window.blog) {
+        window.blog.destroy();
+        window.blog = null;
+    }
+});
+
+// Exportar para uso modular (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Blog;
+}
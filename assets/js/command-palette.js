@@ -0,0 +1,613 @@
+/**
+ * Command Palette
+ * Paleta de comandos (Ctrl/Cmd+K) com busca aproximada por seções, páginas, projetos
+ * e ações, atalhos globais de teclado e a ajuda com a lista de atalhos ("?")
+ */
+
+class CommandPalette {
+    constructor() {
+        this.results = [];
+        this.activeIndex = 0;
+        this.lastFocused = null;
+        this.previousOverflow = '';
+        this.projectList = [];
+        this.projectsRequest = null;
+        this.prefixTimer = null;
+        this.pendingPrefix = false;
+        this.singleKeyEnabled = Utils.storage.get(CommandPalette.storageKey, true) !== false;
+        this.handleKeydown = this.handleKeydown.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.createPalette();
+        this.createHelp();
+        this.bindEvents();
+    }
+
+    /**
+     * Estrutura da paleta (uma vez por visita; fica fora do conteúdo trocado pelo Router)
+     */
+    createPalette() {
+        this.palette = document.createElement('div');
+        this.palette.className = 'command-palette';
+        this.palette.hidden = true;
+        Utils.render.into(this.palette, Utils.html`
+            <div class="command-palette-backdrop" data-close></div>
+            <div class="command-palette-dialog" role="dialog" aria-modal="true" aria-label="${I18n.t('palette.label')}" data-i18n-attr="aria-label: palette.label">
+                <input type="text" class="command-palette-input" role="combobox" aria-expanded="true"
+                       aria-controls="commandPaletteList" aria-autocomplete="list" autocomplete="off" spellcheck="false"
+                       placeholder="${I18n.t('palette.placeholder')}" aria-label="${I18n.t('palette.placeholder')}"
+                       data-i18n-attr="placeholder: palette.placeholder; aria-label: palette.placeholder">
+                <ul class="command-palette-list" id="commandPaletteList" role="listbox" aria-label="${I18n.t('palette.results')}" data-i18n-attr="aria-label: palette.results"></ul>
+                <p class="command-palette-hint" data-i18n="palette.hint">${I18n.t('palette.hint')}</p>
+            </div>
+        `);
+
+        document.body.appendChild(this.palette);
+        this.input = this.palette.querySelector('.command-palette-input');
+        this.list = this.palette.querySelector('.command-palette-list');
+    }
+
+    /**
+     * Janela de ajuda com os atalhos e a opção de desligar os atalhos de uma tecla
+     */
+    createHelp() {
+        this.help = document.createElement('div');
+        this.help.className = 'command-palette shortcuts-help';
+        this.help.hidden = true;
+        Utils.render.into(this.help, Utils.html`
+            <div class="command-palette-backdrop" data-close></div>
+            <div class="shortcuts-dialog" role="dialog" aria-modal="true" aria-labelledby="shortcutsTitle" tabindex="-1">
+                <button type="button" class="project-modal-close shortcuts-close" aria-label="${I18n.t('shortcuts.close')}" data-i18n-attr="aria-label: shortcuts.close" data-close>
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+                <h2 id="shortcutsTitle" class="shortcuts-title" data-i18n="shortcuts.title">${I18n.t('shortcuts.title')}</h2>
+                <dl class="shortcuts-list">
+                    ${CommandPalette.shortcuts.map(shortcut => Utils.html`
+                        <div class="shortcuts-item">
+                            <dt>${shortcut.keys.map(key => Utils.html`<kbd>${this.getKeyLabel(key)}</kbd>`)}</dt>
+                            <dd data-i18n="${shortcut.label}">${I18n.t(shortcut.label)}</dd>
+                        </div>
+                    `)}
+                </dl>
+                <label class="shortcuts-setting">
+                    <input type="checkbox" class="shortcuts-toggle">
+                    <span data-i18n="shortcuts.singleKey">${I18n.t('shortcuts.singleKey')}</span>
+                </label>
+            </div>
+        `);
+
+        document.body.appendChild(this.help);
+        this.helpDialog = this.help.querySelector('.shortcuts-dialog');
+        this.helpToggle = this.help.querySelector('.shortcuts-toggle');
+    }
+
+    bindEvents() {
+        document.addEventListener('keydown', this.handleKeydown);
+
+        this.input.addEventListener('input', () => {
+            this.search(this.input.value);
+        });
+
+        this.input.addEventListener('keydown', (e) => {
+            this.handleInputKeydown(e);
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (option) {
+                this.run(Number(option.dataset.index));
+            }
+        });
+
+        this.list.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (option && Number(option.dataset.index) !== this.activeIndex) {
+                this.setActive(Number(option.dataset.index));
+            }
+        });
+
+        [this.palette, this.help].forEach(overlay => {
+            overlay.addEventListener('click', (e) => {
+                if (e.target.closest('[data-close]')) {
+                    this.close();
+                }
+            });
+        });
+
+        this.help.addEventListener('keydown', (e) => {
+            this.handleHelpKeydown(e);
+        });
+
+        // Atalhos de uma tecla podem atrapalhar leitores de tela e quem usa comandos de voz
+        this.helpToggle.addEventListener('change', () => {
+            this.singleKeyEnabled = this.helpToggle.checked;
+            Utils.storage.set(CommandPalette.storageKey, this.singleKeyEnabled);
+        });
+
+        // Resultados no idioma ativo
+        document.addEventListener('languageChanged', () => {
+            if (!this.palette.hidden) {
+                this.search(this.input.value);
+            }
+        });
+
+        document.addEventListener('pageLoaded', () => {
+            this.close(false);
+        });
+    }
+
+    /**
+     * Atalhos globais. Ctrl/Cmd+K vale em qualquer lugar; os de uma tecla
+     * ficam de fora enquanto se digita em um campo ou com a paleta aberta.
+     * @param {KeyboardEvent} e
+     */
+    handleKeydown(e) {
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+
+            if (this.palette.hidden) {
+                this.open();
+            } else {
+                this.close();
+            }
+            return;
+        }
+
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || !this.singleKeyEnabled) return;
+        if (!this.palette.hidden || !this.help.hidden || this.isTyping(e.target)) return;
+
+        // Segunda tecla de "g" + tecla
+        if (this.pendingPrefix) {
+            const href = CommandPalette.goTo[e.key];
+            this.clearPrefix();
+
+            if (href) {
+                e.preventDefault();
+                this.go(this.resolve(href));
+            }
+            return;
+        }
+
+        if (e.key === '/') {
+            e.preventDefault();
+            this.open();
+        } else if (e.key === '?') {
+            e.preventDefault();
+            this.openHelp();
+        } else if (e.key === 'g') {
+            this.pendingPrefix = true;
+            this.prefixTimer = setTimeout(() => this.clearPrefix(), 1500);
+        } else if (e.key === 't' && window.portfolio) {
+            e.preventDefault();
+            window.portfolio.cycleTheme();
+        }
+    }
+
+    clearPrefix() {
+        clearTimeout(this.prefixTimer);
+        this.pendingPrefix = false;
+    }
+
+    /**
+     * @param {EventTarget} target
+     * @returns {boolean}
+     */
+    isTyping(target) {
+        return target instanceof Element &&
+            Boolean(target.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]'));
+    }
+
+    /**
+     * Teclado no campo de busca: setas escolhem, Enter executa, Escape fecha.
+     * O campo é o único elemento focável da paleta, então Tab não sai dele.
+     * @param {KeyboardEvent} e
+     */
+    handleInputKeydown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            this.setActive(this.activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.run(this.activeIndex);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'Tab') {
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * Teclado na ajuda: Escape fecha e Tab fica entre o botão de fechar e a opção
+     * @param {KeyboardEvent} e
+     */
+    handleHelpKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'Tab') {
+            const focusable = [this.help.querySelector('.shortcuts-close'), this.helpToggle];
+            const index = focusable.indexOf(document.activeElement);
+            const last = focusable.length - 1;
+
+            if (index === -1 || (e.shiftKey && index === 0) || (!e.shiftKey && index === last)) {
+                e.preventDefault();
+                focusable[e.shiftKey ? last : 0].focus();
+            }
+        }
+    }
+
+    /**
+     * Abrir a paleta com a busca vazia
+     */
+    open() {
+        if (!this.palette.hidden) return;
+
+        this.show(this.palette);
+        this.input.value = '';
+        this.search('');
+        this.input.focus();
+
+        // Projetos entram na lista assim que chegarem
+        this.loadProjects().then(() => {
+            if (!this.palette.hidden) {
+                this.search(this.input.value);
+            }
+        });
+    }
+
+    openHelp() {
+        if (!this.help.hidden) return;
+
+        this.show(this.help);
+        this.helpToggle.checked = this.singleKeyEnabled;
+        this.helpDialog.focus();
+    }
+
+    /**
+     * Exibir a paleta ou a ajuda (uma de cada vez), lembrando o foco e a rolagem anteriores
+     * @param {HTMLElement} overlay
+     */
+    show(overlay) {
+        const other = overlay === this.palette ? this.help : this.palette;
+
+        // O menu mobile também prende o teclado: fechar antes de abrir por cima (o foco volta ao botão)
+        if (window.portfolio) {
+            window.portfolio.closeMobileMenu(true);
+        }
+
+        if (other.hidden) {
+            this.lastFocused = document.activeElement;
+            this.previousOverflow = document.body.style.overflow;
+        } else {
+            other.hidden = true;
+        }
+
+        overlay.hidden = false;
+        document.body.style.overflow = 'hidden';
+    }
+
+    /**
+     * Fechar a paleta e a ajuda
+     * @param {boolean} restoreFocus - Devolver o foco para quem estava com ele antes de abrir
+     */
+    close(restoreFocus = true) {
+        if (this.palette.hidden && this.help.hidden) return;
+
+        this.palette.hidden = true;
+        this.help.hidden = true;
+        document.body.style.overflow = this.previousOverflow;
+
+        if (restoreFocus && this.lastFocused && document.contains(this.lastFocused)) {
+            this.lastFocused.focus();
+        }
+
+        this.lastFocused = null;
+    }
+
+    /**
+     * Caminho relativo à raiz do site
+     * @param {string} path
+     * @returns {string}
+     */
+    resolve(path) {
+        return new URL(path, I18n.baseUrl).href;
+    }
+
+    /**
+     * Baixar os projetos uma vez por visita
+     * @returns {Promise}
+     */
+    loadProjects() {
+        if (!this.projectsRequest) {
+            this.projectsRequest = fetch(this.resolve('data/projects.json'))
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status} ao carregar projetos`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    this.projectList = (Array.isArray(data) ? data : [])
+                        .filter(project => project && project.id !== undefined && project.title);
+                })
+                .catch(error => {
+                    console.warn('Projetos indisponíveis na paleta de comandos:', error);
+                    this.projectsRequest = null;
+                });
+        }
+
+        return this.projectsRequest;
+    }
+
+    /**
+     * Comandos disponíveis, no idioma ativo: seções e páginas (links do header),
+     * ações e projetos
+     * @returns {Array<Object>} { group, title, keywords, href | run }
+     */
+    getCommands() {
+        const commands = [];
+
+        document.querySelectorAll('.nav .nav-link').forEach(link => {
+            const url = new URL(link.href);
+            commands.push({ group: url.hash ? 'section' : 'page', title: link.textContent.trim(), href: url.href });
+        });
+
+        commands.push({
+            group: 'action',
+            title: I18n.t('palette.actions.copyEmail'),
+            keywords: CommandPalette.email,
+            run: () => this.copyEmail()
+        });
+
+        if (window.portfolio) {
+            commands.push({
+                group: 'action',
+                title: I18n.t('palette.actions.theme'),
+                run: () => window.portfolio.cycleTheme()
+            });
+        }
+
+        commands.push({
+            group: 'action',
+            title: I18n.t('palette.actions.language', { language: I18n.names[I18n.next()].label }),
+            keywords: I18n.locales.map(locale => I18n.names[locale].label).join(' '),
+            run: () => I18n.setLocale(I18n.next())
+        }, {
+            group: 'action',
+            title: I18n.t('palette.actions.shortcuts'),
+            keywords: '?',
+            run: () => this.openHelp()
+        });
+
+        this.projectList.forEach(entry => {
+            const project = I18n.localize(entry);
+            commands.push({
+                group: 'project',
+                title: project.title,
+                keywords: (project.technologies || []).join(' '),
+                href: this.resolve(`pages/projects.html#project-${project.id}`)
+            });
+        });
+
+        return commands;
+    }
+
+    /**
+     * Filtrar e ordenar os comandos pela busca
+     * @param {string} query
+     */
+    search(query) {
+        const commands = this.getCommands();
+
+        this.results = (query.trim()
+            ? commands
+                .map(command => ({
+                    command,
+                    score: CommandPalette.score(query, `${command.title} ${command.keywords || ''} ${I18n.t(`palette.groups.${command.group}`)}`)
+                }))
+                .filter(result => result.score > 0)
+                .sort((a, b) => b.score - a.score)
+                .map(result => result.command)
+            : commands
+        ).slice(0, CommandPalette.maxResults);
+
+        this.activeIndex = 0;
+        this.render(query);
+    }
+
+    /**
+     * @param {string} query
+     */
+    render(query) {
+        if (this.results.length === 0) {
+            Utils.render.into(this.list, Utils.html`<li class="command-palette-empty" role="presentation">${I18n.t('palette.empty', { query })}</li>`);
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        Utils.render.into(this.list, this.results.map((command, index) => Utils.html`
+            <li class="command-palette-option" id="commandPaletteOption-${index}" role="option" aria-selected="false" data-index="${index}">
+                <span class="command-palette-title">${command.title}</span>
+                <span class="command-palette-group">${I18n.t(`palette.groups.${command.group}`)}</span>
+            </li>
+        `));
+
+        this.setActive(this.activeIndex);
+    }
+
+    /**
+     * Destacar um resultado (com rotação nas extremidades)
+     * @param {number} index
+     */
+    setActive(index) {
+        const options = this.list.querySelectorAll('[role="option"]');
+
+        if (options.length === 0) return;
+
+        this.activeIndex = (index + options.length) % options.length;
+        options.forEach((option, i) => option.setAttribute('aria-selected', String(i === this.activeIndex)));
+
+        const active = options[this.activeIndex];
+        this.input.setAttribute('aria-activedescendant', active.id);
+        active.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Executar um resultado
+     * @param {number} index
+     */
+    run(index) {
+        const command = this.results[index];
+
+        if (!command) return;
+
+        // Ao navegar, o foco vai para o destino (Router ou âncora), não de volta para a página
+        this.close(!command.href);
+
+        if (command.href) {
+            this.go(command.href);
+        } else {
+            command.run();
+        }
+    }
+
+    /**
+     * Ir para uma seção ou página do site
+     * @param {string} href - URL absoluta
+     */
+    go(href) {
+        const url = new URL(href);
+        const behavior = Utils.prefersReducedMotion() ? 'auto' : 'smooth';
+
+        if (url.pathname !== window.location.pathname || url.search !== window.location.search) {
+            if (window.Router && Router.currentPath) {
+                Router.navigate(url.href);
+            } else {
+                window.location.assign(url.href);
+            }
+            return;
+        }
+
+        const target = url.hash && document.getElementById(decodeURIComponent(url.hash.slice(1)));
+
+        if (target) {
+            target.scrollIntoView({ behavior });
+            window.history.pushState({}, '', url);
+            return;
+        }
+
+        window.scrollTo({ top: 0, behavior });
+
+        // Âncoras tratadas por módulos (ex. #project-<id>) dependem do hashchange
+        if (url.hash && url.hash !== window.location.hash) {
+            window.location.hash = url.hash;
+        }
+    }
+
+    async copyEmail() {
+        const copied = await Utils.copyToClipboard(CommandPalette.email);
+
+        if (window.portfolio) {
+            window.portfolio.showToast(I18n.t(copied ? 'palette.actions.emailCopied' : 'palette.actions.copyFailed'), null, 3000);
+        }
+    }
+
+    /**
+     * Rótulo de uma tecla na ajuda ("mod" vira ⌘ no Mac e Ctrl nos demais)
+     * @param {string} key
+     * @returns {string}
+     */
+    getKeyLabel(key) {
+        if (key !== 'mod') return key;
+        return /Mac|iPhone|iPad/.test(navigator.platform) ? '⌘' : 'Ctrl';
+    }
+}
+
+/**
+ * Atalhos listados na ajuda (rótulos em shortcuts.* nos dicionários)
+ */
+CommandPalette.shortcuts = [
+    { keys: ['mod', 'K'], label: 'shortcuts.palette' },
+    { keys: ['/'], label: 'shortcuts.palette' },
+    { keys: ['?'], label: 'shortcuts.help' },
+    { keys: ['g', 'h'], label: 'shortcuts.home' },
+    { keys: ['g', 'p'], label: 'shortcuts.projects' },
+    { keys: ['g', 'b'], label: 'shortcuts.blog' },
+    { keys: ['g', 'c'], label: 'shortcuts.contact' },
+    { keys: ['t'], label: 'shortcuts.theme' },
+    { keys: ['Esc'], label: 'shortcuts.escape' }
+];
+
+/**
+ * Destinos dos atalhos "g" + tecla, relativos à raiz do site
+ */
+CommandPalette.goTo = {
+    h: 'index.html#home',
+    p: 'pages/projects.html',
+    b: 'pages/blog.html',
+    c: 'pages/contact.html'
+};
+
+CommandPalette.email = 'netosilveira1907@gmail.com';
+
+CommandPalette.storageKey = 'singleKeyShortcuts';
+
+CommandPalette.maxResults = 50;
+
+/**
+ * Pontuação da busca aproximada (0 = sem correspondência), sem diferenciar acentos
+ * nem maiúsculas. Trechos contínuos valem mais que letras soltas, e início de palavra
+ * vale mais que o meio.
+ * @param {string} query
+ * @param {string} text
+ * @returns {number}
+ */
+CommandPalette.score = (query, text) => {
+    const normalize = value => value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+    const needle = normalize(query);
+    const haystack = normalize(text);
+
+    if (!needle) return 1;
+
+    const index = haystack.indexOf(needle);
+    if (index !== -1) {
+        const wordStart = index === 0 || /\W/.test(haystack[index - 1]);
+        return 1000 + (wordStart ? 500 : 0) - index;
+    }
+
+    let score = 0;
+    let position = 0;
+    let previous = -2;
+
+    for (const char of needle.replace(/\s+/g, '')) {
+        const found = haystack.indexOf(char, position);
+
+        if (found === -1) return 0;
+
+        score += 1;
+        if (found === previous + 1) score += 5;
+        if (found === 0 || /\W/.test(haystack[found - 1])) score += 3;
+
+        previous = found;
+        position = found + 1;
+    }
+
+    return score;
+};
+
+// Uma instância por visita, criada quando o DOM estiver pronto
+document.addEventListener('DOMContentLoaded', () => {
+    window.commandPalette = new CommandPalette();
+});
+
+// Exportar para uso modular (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CommandPalette;
+}
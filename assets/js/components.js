@@ -0,0 +1,180 @@
+/**
+ * Components
+ * Carrega os fragmentos de components/*.html nos elementos <div data-include="nome">
+ * e ajusta os caminhos relativos para páginas em subpastas
+ */
+
+const Components = {
+    /**
+     * Raiz do site, calculada a partir da localização deste script (assets/js/components.js)
+     */
+    baseUrl: document.currentScript
+        ? new URL('../../', document.currentScript.src)
+        : new URL('./', window.location.href),
+
+    /**
+     * Fragmentos já baixados, por nome
+     */
+    cache: {},
+
+    /**
+     * Substituir todos os [data-include] de um contexto pelos fragmentos
+     * @param {Element|Document} context
+     * @returns {Promise<Array<Element>>} Elementos injetados
+     */
+    async load(context = document) {
+        const placeholders = Array.from(context.querySelectorAll('[data-include]'));
+        const injected = [];
+
+        await Promise.all(placeholders.map(async placeholder => {
+            const name = placeholder.getAttribute('data-include');
+
+            try {
+                const html = await this.fetch(name);
+                const template = document.createElement('template');
+                template.innerHTML = html;
+
+                this.fixPaths(template.content);
+
+                // Fragmentos podem incluir outros fragmentos
+                await this.load(template.content);
+
+                const elements = Array.from(template.content.children);
+                placeholder.replaceWith(template.content);
+                injected.push(...elements);
+            } catch (error) {
+                console.error(`Erro ao carregar componente "${name}":`, error);
+                placeholder.removeAttribute('data-include');
+            }
+        }));
+
+        return injected;
+    },
+
+    /**
+     * Baixar um fragmento (com cache)
+     * @param {string} name
+     * @returns {Promise<string>}
+     */
+    fetch(name) {
+        if (!this.cache[name]) {
+            const url = new URL(`components/${name}.html`, this.baseUrl);
+
+            this.cache[name] = fetch(url).then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} ao carregar ${url}`);
+                }
+                return response.text();
+            });
+
+            // Permitir nova tentativa se falhar
+            this.cache[name].catch(() => delete this.cache[name]);
+        }
+
+        return this.cache[name];
+    },
+
+    /**
+     * Converter caminhos relativos à raiz (como escritos nos fragmentos) em caminhos
+     * relativos à página atual, e marcar o link da página atual como ativo
+     * @param {DocumentFragment|Element} root
+     */
+    fixPaths(root) {
+        root.querySelectorAll('[href], [src]').forEach(el => {
+            const attr = el.hasAttribute('href') ? 'href' : 'src';
+            const value = el.getAttribute(attr);
+
+            if (!this.isRootRelative(value)) return;
+
+            // Guardar o caminho original para recalcular depois de uma navegação pelo Router
+            el.setAttribute('data-root-path', value);
+            this.updatePath(el);
+        });
+    },
+
+    /**
+     * Recalcular os caminhos já ajustados para a página atual (a URL mudou sem recarregar)
+     * @param {Element|Document} root
+     */
+    refresh(root = document) {
+        root.querySelectorAll('[data-root-path]').forEach(el => this.updatePath(el));
+    },
+
+    updatePath(el) {
+        const attr = el.hasAttribute('href') ? 'href' : 'src';
+        const value = el.getAttribute('data-root-path');
+
+        el.setAttribute(attr, this.resolve(value));
+
+        if (el.tagName !== 'A') return;
+
+        if (this.isCurrentPage(value)) {
+            el.classList.add('active');
+            el.setAttribute('aria-current', 'page');
+        } else {
+            el.classList.remove('active');
+            el.removeAttribute('aria-current');
+        }
+    },
+
+    /**
+     * Caminho sem esquema, sem "/" inicial e que não é só uma âncora
+     * @param {string} value
+     * @returns {boolean}
+     */
+    isRootRelative(value) {
+        return Boolean(value) && !/^([a-z][\w+.-]*:|\/|#)/i.test(value);
+    },
+
+    /**
+     * Resolver um caminho relativo à raiz para a página atual
+     * @param {string} value - ex. "index.html#about" ou "pages/projects.html"
+     * @returns {string}
+     */
+    resolve(value) {
+        const target = new URL(value, this.baseUrl);
+        const current = new URL(window.location.href);
+
+        // Mesmo documento: usar só a âncora (mantém a navegação ativa por seção funcionando)
+        if (target.hash && this.samePath(target, current)) {
+            return target.hash;
+        }
+
+        const depth = current.pathname.slice(this.baseUrl.pathname.length).split('/').length - 1;
+        const prefix = depth > 0 ? '../'.repeat(depth) : './';
+
+        return prefix + value;
+    },
+
+    /**
+     * Link sem âncora que aponta para a página atual
+     * @param {string} value
+     * @returns {boolean}
+     */
+    isCurrentPage(value) {
+        const target = new URL(value, this.baseUrl);
+        return !target.hash && this.samePath(target, new URL(window.location.href));
+    },
+
+    /**
+     * Comparar caminhos tratando "pasta/" e "pasta/index.html" como iguais
+     */
+    samePath(a, b) {
+        const normalize = url => url.pathname.replace(/\/index\.html$/, '/');
+        return normalize(a) === normalize(b);
+    }
+};
+
+// Carregar os componentes quando o DOM estiver pronto e avisar o restante do site
+document.addEventListener('DOMContentLoaded', () => {
+    Components.load().then(elements => {
+        document.dispatchEvent(new CustomEvent('componentsLoaded', { detail: { elements } }));
+    });
+});
+
+// Exportar para uso em outros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Components;
+} else if (typeof window !== 'undefined') {
+    window.Components = Components;
+}
@@ -0,0 +1,68 @@
+/**
+ * Constellation Worker
+ * Simula e desenha a constelação fora da thread principal, num OffscreenCanvas
+ * transferido por Constellation (modo worker). Recebe ponteiro, tamanho e
+ * comandos de pausa pela troca de mensagens.
+ */
+
+importScripts('utils.js', 'constellation.js');
+
+// requestAnimationFrame em workers não existe em todos os navegadores com OffscreenCanvas
+if (typeof self.requestAnimationFrame !== 'function') {
+    self.requestAnimationFrame = callback => setTimeout(() => callback(performance.now()), 16);
+    self.cancelAnimationFrame = id => clearTimeout(id);
+}
+
+let constellation = null;
+
+self.addEventListener('message', (e) => {
+    const message = e.data || {};
+
+    if (message.type === 'init') {
+        constellation = new Constellation(message.canvas, {
+            ...message.settings,
+            offscreen: true,
+            width: message.width,
+            height: message.height,
+            pixelRatio: message.pixelRatio,
+            quality: message.quality
+        });
+
+        self.postMessage({ type: 'ready' });
+        return;
+    }
+
+    if (!constellation) return;
+
+    switch (message.type) {
+        case 'resize':
+            constellation.resize(message.width, message.height, message.pixelRatio);
+            break;
+        case 'options':
+            constellation.setOptions(message.options);
+            break;
+        case 'pointer':
+            constellation.setPointer(message.x, message.y);
+            break;
+        case 'pointerleave':
+            constellation.clearPointer();
+            break;
+        case 'burst':
+            constellation.burst(message.x, message.y);
+            break;
+        case 'step':
+            constellation.step(message.frames);
+            break;
+        case 'snapshot':
+            constellation.toBlob(message.mimeType, message.quality)
+                .then(blob => self.postMessage({ type: 'snapshot', id: message.id, blob }))
+                .catch(error => self.postMessage({ type: 'snapshot', id: message.id, error: error.message }));
+            break;
+        case 'pause':
+            constellation.pause();
+            break;
+        case 'resume':
+            constellation.resume();
+            break;
+    }
+});
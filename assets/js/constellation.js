@@ -4,62 +4,608 @@
  */
 
 class Constellation {
-    constructor(canvasId) {
-        this.canvas = document.getElementById(canvasId);
-        this.ctx = this.canvas.getContext('2d');
+    /**
+     * @param {string|HTMLCanvasElement|OffscreenCanvas} canvas - ID ou o próprio canvas
+     * @param {Object} options - Qualquer chave de Constellation.defaults (cores, densidade, velocidades,
+     *                            mouse...), com prioridade sobre os atributos data-* do canvas
+     * @param {string} options.theme - Nome de um tema em Constellation.themes
+     * @param {boolean} options.worker - Desenhar num Web Worker via OffscreenCanvas (padrão: data-worker="true")
+     * @param {boolean} options.offscreen - Uso interno do worker: sem eventos do DOM, tamanho vindo de width/height
+     * @param {number} options.width
+     * @param {number} options.height
+     * @param {number} options.pixelRatio - devicePixelRatio da página (o worker não tem acesso a ele)
+     * @param {Object} options.quality - Estado inicial de qualidade (padrão: detectado pelo dispositivo)
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = typeof canvas === 'string'
+            ? document.getElementById(canvas)
+            : canvas;
+        this.options = options;
+        this.offscreen = Boolean(options.offscreen);
+
+        // OffscreenCanvas (dentro do worker) não tem atributos data-*
+        const dataset = this.canvas.dataset || {};
+        this.useWorker = !this.offscreen && (options.worker !== undefined
+            ? Boolean(options.worker)
+            : dataset.worker === 'true');
+        this.worker = null;
+        this.ctx = null;
         this.stars = [];
-        this.lines = [];
-        this.mouse = { x: 0, y: 0 };
+        this.mouse = { x: 0, y: 0, active: false };
+
+        // Buffers reaproveitados entre quadros (sem alocação por quadro)
+        // lines: [x1, y1, x2, y2, opacity] por linha
+        this.lines = new Float32Array(0);
+        this.lineCount = 0;
+        this.grid = { cols: 0, rows: 0, cellStart: new Int32Array(0), cellItems: new Int32Array(0), starCell: new Int32Array(0) };
         this.animationId = null;
-        
-        // Configurações
-        this.config = {
-            starDensity: 8000,
-            maxDistance: 130,
-            starSize: { min: 0.5, max: 2 },
-            opacity: { min: 0.2, max: 0.8 },
-            speed: { min: -0.3, max: 0.3 },
-            mouseInfluence: 100,
-            mouseForce: 0.00005
-        };
+        this.eventsBound = false;
+
+        // Handlers com referência fixa, para que destroy() consiga removê-los
+        this.handleResize = this.handleResize.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handlePointerOut = this.handlePointerOut.bind(this);
+        this.handlePointerLeave = this.handlePointerLeave.bind(this);
+
+        // Configurações: padrão < tema < data-* do canvas < opções
+        this.settings = Constellation.mergeSettings(Constellation.readDataset(dataset), options);
+        this.config = Constellation.resolveConfig(this.settings);
+        this.resetRandom();
+        this.snapshotRequests = 0;
+
+        // Qualidade adaptativa: nível atual, melhor nível permitido e movimento reduzido
+        this.quality = { ...(options.quality || Constellation.detectQuality()) };
+        this.frameStats = { samples: 0, total: 0, max: 0, changedAt: 0 };
+        this.applyQuality();
 
         this.init();
     }
 
     init() {
-        this.resizeCanvas();
+        if (this.useWorker && Constellation.supportsWorker(this.canvas)) {
+            this.initWorker();
+        } else {
+            this.start();
+        }
+    }
+
+    /**
+     * Simular e desenhar nesta thread
+     */
+    start() {
+        this.ctx = this.canvas.getContext('2d');
+        this.resizeCanvas(this.options.width, this.options.height, this.options.pixelRatio);
         this.createStars();
-        this.bindEvents();
+
+        if (!this.offscreen) {
+            this.bindEvents();
+        }
+
         this.animate();
     }
 
-    resizeCanvas() {
-        this.width = this.canvas.width = window.innerWidth;
-        this.height = this.canvas.height = window.innerHeight;
+    /**
+     * O navegador consegue transferir o canvas para um worker?
+     * @param {HTMLCanvasElement} canvas
+     * @returns {boolean}
+     */
+    static supportsWorker(canvas) {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof canvas.transferControlToOffscreen === 'function';
+    }
+
+    /**
+     * Combinar configurações, mesclando os pares { min, max }
+     * @param {Object} base
+     * @param {Object} changes - Chaves fora de Constellation.defaults são ignoradas
+     * @returns {Object}
+     */
+    static mergeSettings(base, changes) {
+        const merged = { ...base };
+
+        Object.keys(Constellation.defaults).forEach(key => {
+            const value = changes[key];
+
+            if (value === undefined) return;
+
+            merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+                ? { ...merged[key], ...value }
+                : value;
+        });
+
+        return merged;
+    }
+
+    /**
+     * Configuração final: padrões, depois o tema escolhido, depois as configurações explícitas
+     * @param {Object} settings
+     * @returns {Object}
+     */
+    static resolveConfig(settings) {
+        const theme = Constellation.themes[settings.theme] || {};
+        const config = Constellation.mergeSettings(Constellation.mergeSettings(Constellation.defaults, theme), settings);
+
+        if (!Array.isArray(config.colors)) {
+            config.colors = [config.colors];
+        }
+
+        if (!Array.isArray(config.interaction)) {
+            config.interaction = String(config.interaction).split(',').map(mode => mode.trim());
+        }
+
+        return config;
+    }
+
+    /**
+     * Ler a configuração declarada em data-* no canvas, convertida pelo tipo do valor padrão
+     * @param {DOMStringMap|Object} dataset
+     * @returns {Object}
+     */
+    static readDataset(dataset) {
+        const settings = {};
+        const parse = (value, fallback) => {
+            if (typeof fallback === 'number') return parseFloat(value);
+            if (Array.isArray(fallback)) return value.split(/,(?![^(]*\))/).map(item => item.trim()).filter(Boolean);
+            return value;
+        };
+
+        Object.keys(Constellation.defaults).forEach(key => {
+            const fallback = Constellation.defaults[key];
+
+            if (fallback && typeof fallback === 'object' && !Array.isArray(fallback)) {
+                // Pares { min, max }: data-speed-min / data-speed-max
+                const range = {};
+                ['min', 'max'].forEach(bound => {
+                    const value = dataset[key + bound[0].toUpperCase() + bound.slice(1)];
+                    if (value !== undefined && !isNaN(parseFloat(value))) {
+                        range[bound] = parseFloat(value);
+                    }
+                });
+                if (Object.keys(range).length > 0) {
+                    settings[key] = range;
+                }
+                return;
+            }
+
+            if (dataset[key] === undefined) return;
+
+            const value = parse(dataset[key], fallback);
+            if (typeof value !== 'number' || !isNaN(value)) {
+                settings[key] = value;
+            }
+        });
+
+        return settings;
+    }
+
+    /**
+     * Transferir o canvas para o worker; a thread principal só repassa ponteiro e tamanho
+     */
+    initWorker() {
+        try {
+            this.worker = new Worker(Constellation.workerUrl);
+        } catch (error) {
+            console.warn('Worker da constelação indisponível, desenhando na thread principal:', error);
+            this.worker = null;
+            this.start();
+            return;
+        }
+
+        const offscreen = this.canvas.transferControlToOffscreen();
+        let ready = false;
+
+        this.worker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'ready') {
+                ready = true;
+                this.bindEvents();
+            } else if (e.data && e.data.type === 'frameStats') {
+                this.reportFrameStats(e.data.stats);
+            }
+        });
+
+        this.worker.addEventListener('error', (e) => {
+            // Falha ao carregar ou iniciar o worker: voltar para a thread principal
+            if (!ready) {
+                e.preventDefault();
+                console.warn('Worker da constelação falhou, desenhando na thread principal:', e.message);
+                this.fallbackToMainThread();
+            }
+        });
+
+        this.worker.postMessage({
+            type: 'init',
+            canvas: offscreen,
+            width: window.innerWidth,
+            height: window.innerHeight,
+            pixelRatio: window.devicePixelRatio || 1,
+            settings: this.settings,
+            quality: this.quality
+        }, [offscreen]);
+    }
+
+    /**
+     * Um canvas transferido não pode mais ser desenhado aqui, então é trocado por uma cópia
+     */
+    fallbackToMainThread() {
+        this.worker.terminate();
+        this.worker = null;
+
+        const canvas = this.canvas.cloneNode(false);
+        this.canvas.replaceWith(canvas);
+        this.canvas = canvas;
+
+        this.start();
+    }
+
+    /**
+     * Dimensionar o canvas em pixels físicos, mantendo as coordenadas de desenho em pixels CSS
+     * @param {number} width - Largura em pixels CSS
+     * @param {number} height - Altura em pixels CSS
+     * @param {number} pixelRatio - devicePixelRatio (limitado por config.maxPixelRatio)
+     */
+    resizeCanvas(width = window.innerWidth, height = window.innerHeight, pixelRatio = window.devicePixelRatio || 1) {
+        this.pixelRatio = Math.min(Math.max(pixelRatio, 1), this.config.maxPixelRatio);
+        this.width = width;
+        this.height = height;
+        this.canvas.width = Math.round(width * this.pixelRatio);
+        this.canvas.height = Math.round(height * this.pixelRatio);
+
+        // Redimensionar o canvas zera o estado do contexto
+        if (this.ctx) {
+            this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        }
+    }
+
+    /**
+     * Ajustar ao novo tamanho da janela (no worker, se estiver ativo), mantendo as estrelas
+     * existentes e só acrescentando ou removendo as da área que mudou
+     * @param {number} width
+     * @param {number} height
+     * @param {number} pixelRatio
+     */
+    resize(width = window.innerWidth, height = window.innerHeight, pixelRatio = window.devicePixelRatio || 1) {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'resize', width, height, pixelRatio });
+            return;
+        }
+
+        const previousWidth = this.width || 0;
+        const previousHeight = this.height || 0;
+
+        this.resizeCanvas(width, height, pixelRatio);
+
+        // Estrelas fora da nova área saem
+        this.stars = this.stars.filter(star => star.x <= width && star.y <= height);
+
+        // Faixas novas: à direita (altura toda) e abaixo (largura antiga)
+        const regions = [];
+        if (width > previousWidth) {
+            regions.push({ x: previousWidth, y: 0, width: width - previousWidth, height });
+        }
+        if (height > previousHeight) {
+            regions.push({ x: 0, y: previousHeight, width: Math.min(previousWidth, width), height: height - previousHeight });
+        }
+
+        const target = this.getTargetStarCount();
+        const newArea = regions.reduce((sum, region) => sum + region.width * region.height, 0);
+
+        while (this.stars.length < target) {
+            let region;
+
+            if (newArea > 0) {
+                // Sortear a faixa proporcionalmente à área
+                let pick = this.random() * newArea;
+                region = regions.find(item => (pick -= item.width * item.height) < 0) || regions[regions.length - 1];
+            }
+
+            this.stars.push(this.createStar(region));
+        }
+
+        this.stars.length = target;
+
+        if (this.quality.reducedMotion) {
+            this.renderStatic();
+        }
+    }
+
+    /**
+     * Atualizar a posição do ponteiro (no worker, se estiver ativo)
+     * @param {number} x
+     * @param {number} y
+     */
+    setPointer(x, y) {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'pointer', x, y });
+            return;
+        }
+
+        this.mouse.x = x;
+        this.mouse.y = y;
+        this.mouse.active = true;
+    }
+
+    /**
+     * O ponteiro saiu da página: parar de influenciar as estrelas
+     */
+    clearPointer() {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'pointerleave' });
+            return;
+        }
+
+        this.mouse.active = false;
+    }
+
+    /**
+     * Explosão a partir de um ponto: empurra as estrelas próximas e, na página, solta partículas
+     * @param {number} x - Coordenada no canvas
+     * @param {number} y
+     */
+    burst(x, y) {
+        if (this.quality.reducedMotion) return;
+
+        if (!this.offscreen) {
+            this.spawnParticles(x, y);
+        }
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'burst', x, y });
+            return;
+        }
+
+        const { burstRadius, burstForce } = this.config;
+
+        this.stars.forEach(star => {
+            const dx = star.x - x;
+            const dy = star.y - y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+
+            if (distance > 0 && distance < burstRadius) {
+                const force = (burstRadius - distance) / burstRadius * burstForce;
+                star.vx += dx / distance * force;
+                star.vy += dy / distance * force;
+            }
+        });
+    }
+
+    /**
+     * Partículas do Portfolio espalhadas em círculo ao redor do ponto
+     * @param {number} x
+     * @param {number} y
+     */
+    spawnParticles(x, y) {
+        if (!window.portfolio) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const count = this.config.burstParticles;
+
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2;
+            // Math.random de propósito: partículas do DOM não devem consumir a sequência da semente
+            const distance = this.config.burstRadius * (0.25 + Math.random() * 0.25);
+
+            window.portfolio.createParticle(
+                rect.left + x,
+                rect.top + y,
+                Math.cos(angle) * distance,
+                Math.sin(angle) * distance
+            );
+        }
+    }
+
+    /**
+     * Quantidade de estrelas para a área atual no nível de qualidade atual
+     * @returns {number}
+     */
+    getTargetStarCount() {
+        const tier = Constellation.quality.tiers[this.quality.tier];
+        return Math.floor((this.width * this.height) / this.config.starDensity * tier.density);
+    }
+
+    /**
+     * @param {{x: number, y: number, width: number, height: number}} region - Área onde a estrela nasce (padrão: canvas todo)
+     * @returns {Object}
+     */
+    createStar(region = { x: 0, y: 0, width: this.width, height: this.height }) {
+        return this.randomizeStar({
+            x: region.x + this.random() * region.width,
+            y: region.y + this.random() * region.height
+        });
+    }
+
+    /**
+     * Sortear tamanho, opacidade, cor e velocidade de uma estrela a partir da configuração
+     * @param {Object} star
+     * @returns {Object}
+     */
+    randomizeStar(star) {
+        const { starSize, opacity, speed } = this.config;
+
+        star.size = this.random() * (starSize.max - starSize.min) + starSize.min;
+        star.opacity = this.random() * (opacity.max - opacity.min) + opacity.min;
+        // Posição na paleta, independente da quantidade de cores
+        star.tone = this.random();
+        star.vx = (this.random() - 0.5) * (speed.max - speed.min) + speed.min;
+        star.vy = (this.random() - 0.5) * (speed.max - speed.min) + speed.min;
+
+        // Velocidades originais
+        star.originalVx = star.vx;
+        star.originalVy = star.vy;
+
+        return star;
+    }
+
+    /**
+     * Gerador usado pela simulação: com semente (config.seed) é reproduzível,
+     * sem semente segue Utils.random
+     */
+    resetRandom() {
+        const seed = this.config.seed;
+        this.random = seed === null || seed === undefined || seed === ''
+            ? () => Utils.rng()
+            : Utils.createRandom(seed);
+    }
+
+    /**
+     * Alterar opções em tempo de execução, sem recriar a animação
+     * @param {Object} options - Mesmas chaves aceitas pelo construtor
+     */
+    setOptions(options = {}) {
+        const previous = this.config;
+
+        this.settings = Constellation.mergeSettings(this.settings, options);
+        this.config = Constellation.resolveConfig(this.settings);
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'options', options });
+            return;
+        }
+
+        const changed = key => JSON.stringify(previous[key]) !== JSON.stringify(this.config[key]);
+
+        // Nova semente: novo céu, reproduzível desde o início
+        if (changed('seed')) {
+            this.resetRandom();
+            this.createStars();
+        }
+
+        // Estrelas existentes mantêm a posição e recebem os novos intervalos
+        if (changed('starSize') || changed('opacity') || changed('speed')) {
+            this.stars.forEach(star => this.randomizeStar(star));
+        }
+
+        // Densidade e distância passam pelo nível de qualidade atual
+        this.applyQuality();
+
+        if (this.quality.reducedMotion) {
+            this.renderStatic();
+        }
     }
 
     createStars() {
         this.stars = [];
-        const numStars = Math.floor((this.width * this.height) / this.config.starDensity);
-        
+        const numStars = this.getTargetStarCount();
+
         for (let i = 0; i < numStars; i++) {
-            this.stars.push({
-                x: Math.random() * this.width,
-                y: Math.random() * this.height,
-                size: Math.random() * (this.config.starSize.max - this.config.starSize.min) + this.config.starSize.min,
-                opacity: Math.random() * (this.config.opacity.max - this.config.opacity.min) + this.config.opacity.min,
-                vx: (Math.random() - 0.5) * (this.config.speed.max - this.config.speed.min) + this.config.speed.min,
-                vy: (Math.random() - 0.5) * (this.config.speed.max - this.config.speed.min) + this.config.speed.min,
-                originalVx: 0,
-                originalVy: 0
-            });
+            this.stars.push(this.createStar());
         }
+    }
 
-        // Armazenar velocidades originais
-        this.stars.forEach(star => {
-            star.originalVx = star.vx;
-            star.originalVy = star.vy;
-        });
+    /**
+     * Acrescentar ou remover estrelas até a quantidade alvo, mantendo as existentes
+     */
+    adjustStarCount() {
+        const target = this.getTargetStarCount();
+
+        while (this.stars.length < target) {
+            this.stars.push(this.createStar());
+        }
+
+        this.stars.length = target;
+    }
+
+    /**
+     * Detectar o nível inicial de qualidade pelo dispositivo e preferências do usuário
+     * @returns {{tier: number, ceiling: number, reducedMotion: boolean}}
+     */
+    static detectQuality() {
+        const settings = Constellation.quality;
+        const indexOf = name => Math.max(0, settings.tiers.findIndex(tier => tier.name === name));
+        const hasUtils = typeof Utils !== 'undefined';
+        const connection = typeof navigator !== 'undefined' ? navigator.connection : null;
+        let ceiling = 0;
+
+        if (connection && connection.saveData) {
+            ceiling = indexOf(settings.saveDataTier);
+        } else if (hasUtils && Utils.isMobile()) {
+            ceiling = indexOf(settings.mobileTier);
+        }
+
+        return {
+            tier: ceiling,
+            ceiling,
+            reducedMotion: hasUtils && Boolean(Utils.prefersReducedMotion())
+        };
+    }
+
+    /**
+     * Aplicar o nível de qualidade atual (distância das linhas e quantidade de estrelas)
+     */
+    applyQuality() {
+        const tier = Constellation.quality.tiers[this.quality.tier];
+
+        this.maxDistance = this.config.maxDistance * tier.distance;
+        this.drawLines = tier.lines && this.maxDistance > 0;
+
+        if (!this.drawLines) {
+            this.lineCount = 0;
+        }
+
+        if (this.stars.length > 0) {
+            this.adjustStarCount();
+        }
+    }
+
+    /**
+     * Trocar de nível de qualidade
+     * @param {number|string} tier - Índice ou nome do nível em Constellation.quality.tiers
+     */
+    setQualityTier(tier) {
+        const tiers = Constellation.quality.tiers;
+        const index = typeof tier === 'string'
+            ? tiers.findIndex(item => item.name === tier)
+            : tier;
+
+        if (index < 0 || index >= tiers.length) return;
+
+        this.quality.tier = index;
+        this.frameStats.changedAt = performance.now();
+        this.applyQuality();
+    }
+
+    /**
+     * Registrar o tempo de trabalho de um quadro e ajustar a qualidade pela média
+     * @param {number} duration - ms gastos em simulação e desenho
+     */
+    monitorFrame(duration) {
+        const settings = Constellation.quality;
+        const stats = this.frameStats;
+
+        stats.samples++;
+        stats.total += duration;
+        stats.max = Math.max(stats.max, duration);
+
+        if (stats.samples < settings.sampleSize) return;
+
+        const average = stats.total / stats.samples;
+        this.reportFrameStats({ average, max: stats.max, frames: stats.samples, tier: settings.tiers[this.quality.tier].name });
+        stats.samples = 0;
+        stats.total = 0;
+        stats.max = 0;
+
+        if (performance.now() - stats.changedAt < settings.cooldown) return;
+
+        if (average > settings.frameBudget && this.quality.tier < settings.tiers.length - 1) {
+            this.setQualityTier(this.quality.tier + 1);
+        } else if (average < settings.frameBudget * settings.headroom && this.quality.tier > this.quality.ceiling) {
+            this.setQualityTier(this.quality.tier - 1);
+        }
+    }
+
+    /**
+     * Publicar as medições de um ciclo de quadros no evento constellationFrames do document.
+     * No worker, as medições vão por mensagem para a instância da página, que dispara o evento.
+     * @param {Object} stats - { average, max, frames, tier }
+     */
+    reportFrameStats(stats) {
+        if (this.offscreen) {
+            self.postMessage({ type: 'frameStats', stats });
+        } else {
+            document.dispatchEvent(new CustomEvent('constellationFrames', { detail: stats }));
+        }
     }
 
     updateStars() {
@@ -75,7 +621,7 @@ class Constellation {
             if (star.y > this.height) star.y = 0;
 
             // Variação sutil na opacidade
-            star.opacity += (Math.random() - 0.5) * 0.02;
+            star.opacity += (this.random() - 0.5) * 0.02;
             star.opacity = Math.max(this.config.opacity.min, 
                                    Math.min(this.config.opacity.max, star.opacity));
 
@@ -85,102 +631,418 @@ class Constellation {
         });
     }
 
+    /**
+     * Distribuir as estrelas numa grade uniforme com células do tamanho de maxDistance.
+     * Só estrelas na mesma célula ou em células vizinhas podem estar conectadas.
+     */
+    buildGrid() {
+        const cellSize = this.maxDistance;
+        const cols = Math.max(1, Math.ceil(this.width / cellSize));
+        const rows = Math.max(1, Math.ceil(this.height / cellSize));
+        const numCells = cols * rows;
+        const numStars = this.stars.length;
+        const grid = this.grid;
+
+        // Realocar apenas quando a tela ou a quantidade de estrelas crescer
+        if (grid.cellStart.length < numCells + 1) {
+            grid.cellStart = new Int32Array(numCells + 1);
+        }
+        if (grid.cellItems.length < numStars) {
+            grid.cellItems = new Int32Array(numStars);
+            grid.starCell = new Int32Array(numStars);
+        }
+
+        grid.cols = cols;
+        grid.rows = rows;
+
+        const cellStart = grid.cellStart;
+        const cellItems = grid.cellItems;
+        const starCell = grid.starCell;
+
+        // Counting sort: contar estrelas por célula e acumular, de modo que
+        // cellStart[c] aponte para o fim da célula c
+        cellStart.fill(0, 0, numCells + 1);
+
+        for (let i = 0; i < numStars; i++) {
+            const star = this.stars[i];
+            const cx = Math.min(cols - 1, Math.max(0, Math.floor(star.x / cellSize)));
+            const cy = Math.min(rows - 1, Math.max(0, Math.floor(star.y / cellSize)));
+            const cell = cy * cols + cx;
+            starCell[i] = cell;
+            cellStart[cell]++;
+        }
+
+        for (let c = 1; c < numCells; c++) {
+            cellStart[c] += cellStart[c - 1];
+        }
+
+        // Preencher de trás para frente: cada célula termina com cellStart[c] no seu início
+        // e os índices ficam em ordem crescente dentro da célula
+        for (let i = numStars - 1; i >= 0; i--) {
+            cellItems[--cellStart[starCell[i]]] = i;
+        }
+
+        cellStart[numCells] = numStars;
+    }
+
     createLines() {
-        this.lines = [];
-        
-        for (let i = 0; i < this.stars.length; i++) {
-            for (let j = i + 1; j < this.stars.length; j++) {
-                const dx = this.stars[i].x - this.stars[j].x;
-                const dy = this.stars[i].y - this.stars[j].y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-
-                if (distance < this.config.maxDistance) {
-                    this.lines.push({
-                        start: this.stars[i],
-                        end: this.stars[j],
-                        opacity: (this.config.maxDistance - distance) / this.config.maxDistance * 0.5,
-                        distance: distance
-                    });
+        const maxDistance = this.maxDistance;
+        const maxDistanceSq = maxDistance * maxDistance;
+        const lineOpacity = this.config.lineOpacity;
+        const stars = this.stars;
+
+        if (maxDistance <= 0) {
+            this.lineCount = 0;
+            return;
+        }
+
+        this.buildGrid();
+
+        const { cols, rows, cellStart, cellItems, starCell } = this.grid;
+        let lines = this.lines;
+        let count = 0;
+
+        for (let i = 0; i < stars.length; i++) {
+            const a = stars[i];
+            const cell = starCell[i];
+            const cx = cell % cols;
+            const cy = (cell - cx) / cols;
+
+            for (let ny = Math.max(0, cy - 1); ny <= Math.min(rows - 1, cy + 1); ny++) {
+                for (let nx = Math.max(0, cx - 1); nx <= Math.min(cols - 1, cx + 1); nx++) {
+                    const neighbor = ny * cols + nx;
+                    const end = cellStart[neighbor + 1];
+
+                    for (let k = cellStart[neighbor]; k < end; k++) {
+                        const j = cellItems[k];
+
+                        // Cada par uma única vez
+                        if (j <= i) continue;
+
+                        const b = stars[j];
+                        const dx = a.x - b.x;
+                        const dy = a.y - b.y;
+                        const distanceSq = dx * dx + dy * dy;
+
+                        if (distanceSq < maxDistanceSq) {
+                            const distance = Math.sqrt(distanceSq);
+
+                            if ((count + 1) * 5 > lines.length) {
+                                const grown = new Float32Array(Math.max(1024, lines.length * 2));
+                                grown.set(lines);
+                                lines = this.lines = grown;
+                            }
+
+                            const offset = count * 5;
+                            lines[offset] = a.x;
+                            lines[offset + 1] = a.y;
+                            lines[offset + 2] = b.x;
+                            lines[offset + 3] = b.y;
+                            lines[offset + 4] = (maxDistance - distance) / maxDistance * lineOpacity;
+                            count++;
+                        }
+                    }
                 }
             }
         }
+
+        this.lineCount = count;
     }
 
     applyMouseInfluence() {
+        const interaction = this.config.interaction;
+
+        // attract puxa as estrelas para o ponteiro, repel afasta
+        const direction = interaction.includes('repel') ? -1 : interaction.includes('attract') ? 1 : 0;
+
+        if (!this.mouse.active || direction === 0) return;
+
         this.stars.forEach(star => {
             const dx = this.mouse.x - star.x;
             const dy = this.mouse.y - star.y;
             const distance = Math.sqrt(dx * dx + dy * dy);
             
             if (distance < this.config.mouseInfluence) {
-                const force = (this.config.mouseInfluence - distance) / this.config.mouseInfluence;
+                const force = (this.config.mouseInfluence - distance) / this.config.mouseInfluence * direction;
                 star.vx += dx * this.config.mouseForce * force;
                 star.vy += dy * this.config.mouseForce * force;
             }
         });
     }
 
-    draw() {
-        // Limpar canvas
-        this.ctx.clearRect(0, 0, this.width, this.height);
-
-        // Desenhar linhas
-        this.lines.forEach(line => {
-            this.ctx.beginPath();
-            this.ctx.moveTo(line.start.x, line.start.y);
-            this.ctx.lineTo(line.end.x, line.end.y);
-            this.ctx.strokeStyle = `rgba(255, 255, 255, ${line.opacity})`;
-            this.ctx.lineWidth = 0.5;
-            this.ctx.stroke();
+    /**
+     * Modo connect: linhas do ponteiro até as estrelas dentro do raio de influência
+     */
+    drawPointerLines() {
+        const ctx = this.ctx;
+        const radius = this.config.mouseInfluence;
+
+        this.stars.forEach(star => {
+            const dx = this.mouse.x - star.x;
+            const dy = this.mouse.y - star.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+
+            if (distance < radius) {
+                ctx.beginPath();
+                ctx.moveTo(this.mouse.x, this.mouse.y);
+                ctx.lineTo(star.x, star.y);
+                ctx.globalAlpha = (radius - distance) / radius * this.config.lineOpacity;
+                ctx.stroke();
+            }
         });
+    }
+
+    draw() {
+        const ctx = this.ctx;
+        const { colors, lineColor, lineWidth } = this.config;
+
+        // Limpar canvas (ou pintar o fundo, se configurado)
+        if (this.config.background) {
+            ctx.globalAlpha = 1;
+            ctx.fillStyle = this.config.background;
+            ctx.fillRect(0, 0, this.width, this.height);
+        } else {
+            ctx.clearRect(0, 0, this.width, this.height);
+        }
+
+        // Desenhar linhas (a opacidade de cada uma vai em globalAlpha, aceitando qualquer cor CSS)
+        const lines = this.lines;
+        ctx.lineWidth = lineWidth;
+        ctx.strokeStyle = lineColor;
+
+        for (let i = 0; i < this.lineCount; i++) {
+            const offset = i * 5;
+            ctx.beginPath();
+            ctx.moveTo(lines[offset], lines[offset + 1]);
+            ctx.lineTo(lines[offset + 2], lines[offset + 3]);
+            ctx.globalAlpha = lines[offset + 4];
+            ctx.stroke();
+        }
+
+        if (this.mouse.active && this.config.interaction.includes('connect')) {
+            this.drawPointerLines();
+        }
 
         // Desenhar estrelas
         this.stars.forEach(star => {
-            this.ctx.beginPath();
-            this.ctx.arc(star.x, star.y, star.size, 0, Math.PI * 2);
-            this.ctx.fillStyle = `rgba(255, 255, 255, ${star.opacity})`;
-            this.ctx.fill();
+            ctx.beginPath();
+            ctx.arc(star.x, star.y, star.size, 0, Math.PI * 2);
+            ctx.fillStyle = colors[Math.floor(star.tone * colors.length)];
+            ctx.globalAlpha = star.opacity;
+            ctx.fill();
+        });
+
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Avançar a simulação sem depender de requestAnimationFrame e desenhar o quadro resultante.
+     * Com uma semente e um nível de qualidade fixo (options.quality), o resultado é sempre o mesmo.
+     * @param {number} frames - Quantidade de quadros a simular
+     * @returns {Constellation}
+     */
+    step(frames = 1) {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'step', frames });
+            return this;
+        }
+
+        for (let i = 0; i < frames; i++) {
+            this.updateStars();
+            this.applyMouseInfluence();
+        }
+
+        this.renderStatic();
+        return this;
+    }
+
+    /**
+     * Imagem do quadro atual. Indisponível no modo worker, onde o canvas foi transferido (use toBlob).
+     * @param {string} type
+     * @param {number} quality - Para formatos com perda (image/jpeg, image/webp)
+     * @returns {string}
+     */
+    toDataURL(type = 'image/png', quality) {
+        if (this.worker || this.offscreen) {
+            throw new Error('toDataURL não está disponível no modo worker; use toBlob()');
+        }
+
+        return this.canvas.toDataURL(type, quality);
+    }
+
+    /**
+     * Imagem do quadro atual, em qualquer modo
+     * @param {string} type
+     * @param {number} quality
+     * @returns {Promise<Blob>}
+     */
+    toBlob(type = 'image/png', quality) {
+        if (this.worker) {
+            const id = ++this.snapshotRequests;
+
+            return new Promise((resolve, reject) => {
+                const handleMessage = (e) => {
+                    if (!e.data || e.data.type !== 'snapshot' || e.data.id !== id) return;
+
+                    this.worker.removeEventListener('message', handleMessage);
+                    if (e.data.error) {
+                        reject(new Error(e.data.error));
+                    } else {
+                        resolve(e.data.blob);
+                    }
+                };
+
+                this.worker.addEventListener('message', handleMessage);
+                this.worker.postMessage({ type: 'snapshot', id, mimeType: type, quality });
+            });
+        }
+
+        if (this.offscreen) {
+            return this.canvas.convertToBlob({ type, quality });
+        }
+
+        return new Promise((resolve, reject) => {
+            this.canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Não foi possível gerar a imagem da constelação'));
+                }
+            }, type, quality);
         });
     }
 
+    /**
+     * Baixar o quadro atual como PNG (ex. para imagens de prévia em redes sociais)
+     * @param {string} filename
+     * @returns {Promise<void>}
+     */
+    async downloadSnapshot(filename = 'constellation.png') {
+        const blob = await this.toBlob('image/png');
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Quadro único, sem movimento (prefers-reduced-motion)
+     */
+    renderStatic() {
+        if (this.drawLines) {
+            this.createLines();
+        }
+        this.draw();
+    }
+
     animate() {
+        if (this.quality.reducedMotion) {
+            this.renderStatic();
+            return;
+        }
+
+        const start = performance.now();
+
         this.updateStars();
-        this.createLines();
+        if (this.drawLines) {
+            this.createLines();
+        }
         this.applyMouseInfluence();
         this.draw();
+
+        this.monitorFrame(performance.now() - start);
         this.animationId = requestAnimationFrame(() => this.animate());
     }
 
     bindEvents() {
-        // Resize
-        window.addEventListener('resize', () => {
-            this.resizeCanvas();
-            this.createStars();
-        });
+        if (this.eventsBound) return;
+        this.eventsBound = true;
 
-        // Mouse movement
-        this.canvas.addEventListener('mousemove', (e) => {
-            this.mouse.x = e.clientX;
-            this.mouse.y = e.clientY;
-        });
+        window.addEventListener('resize', this.handleResize);
+        window.addEventListener('blur', this.handlePointerLeave);
 
-        // Touch events for mobile
-        this.canvas.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-            const touch = e.touches[0];
-            this.mouse.x = touch.clientX;
-            this.mouse.y = touch.clientY;
-        });
+        // Ponteiro ouvido no documento: o canvas fica atrás do conteúdo (pointer-events: none).
+        // Todos passivos, para nunca bloquear a rolagem por toque.
+        document.addEventListener('pointermove', this.handlePointerMove, { passive: true });
+        document.addEventListener('pointerdown', this.handlePointerDown, { passive: true });
+        document.addEventListener('pointerup', this.handlePointerUp, { passive: true });
+        document.addEventListener('pointerout', this.handlePointerOut, { passive: true });
+        document.addEventListener('pointercancel', this.handlePointerLeave, { passive: true });
+    }
 
-        // Reset mouse position when leaving
-        this.canvas.addEventListener('mouseleave', () => {
-            this.mouse.x = 0;
-            this.mouse.y = 0;
-        });
+    unbindEvents() {
+        if (!this.eventsBound) return;
+        this.eventsBound = false;
+
+        window.removeEventListener('resize', this.handleResize);
+        window.removeEventListener('blur', this.handlePointerLeave);
+        document.removeEventListener('pointermove', this.handlePointerMove);
+        document.removeEventListener('pointerdown', this.handlePointerDown);
+        document.removeEventListener('pointerup', this.handlePointerUp);
+        document.removeEventListener('pointerout', this.handlePointerOut);
+        document.removeEventListener('pointercancel', this.handlePointerLeave);
+    }
+
+    handleResize() {
+        this.resize();
+    }
+
+    /**
+     * Converter coordenadas da janela para o canvas
+     * @param {PointerEvent} e
+     * @returns {{x: number, y: number}}
+     */
+    getPointerPosition(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    handlePointerMove(e) {
+        const { x, y } = this.getPointerPosition(e);
+        this.setPointer(x, y);
+    }
+
+    handlePointerDown(e) {
+        if (!this.config.interaction.includes('burst') || e.button > 0) return;
+
+        // Cliques em links, botões e campos continuam sendo só cliques
+        if (e.target.closest && e.target.closest('a, button, input, textarea, select, label, [role="button"]')) return;
+
+        const { x, y } = this.getPointerPosition(e);
+        this.burst(x, y);
+    }
+
+    // Toque e caneta deixam de existir ao levantar o dedo
+    handlePointerUp(e) {
+        if (e.pointerType !== 'mouse') {
+            this.clearPointer();
+        }
+    }
+
+    // relatedTarget nulo: o ponteiro saiu da janela
+    handlePointerOut(e) {
+        if (!e.relatedTarget) {
+            this.clearPointer();
+        }
+    }
+
+    handlePointerLeave() {
+        this.clearPointer();
     }
 
     // Método para pausar/retomar animação (útil para performance)
     pause() {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'pause' });
+            return;
+        }
+
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
             this.animationId = null;
@@ -188,6 +1050,11 @@ class Constellation {
     }
 
     resume() {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'resume' });
+            return;
+        }
+
         if (!this.animationId) {
             this.animate();
         }
@@ -196,19 +1063,111 @@ class Constellation {
     // Destruir instância
     destroy() {
         this.pause();
-        window.removeEventListener('resize', this.resizeCanvas);
-        this.canvas.removeEventListener('mousemove', this.handleMouseMove);
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        this.unbindEvents();
+        this.stars = [];
+        this.lineCount = 0;
+
+        if (this.ctx) {
+            this.ctx.clearRect(0, 0, this.width, this.height);
+        }
     }
 }
 
-// Auto-inicializar quando o DOM estiver pronto
-document.addEventListener('DOMContentLoaded', () => {
-    // Verificar se o canvas existe
-    const canvas = document.getElementById('constellation');
-    if (canvas) {
-        window.constellation = new Constellation('constellation');
+/**
+ * Valores padrão de configuração. Todos podem vir das opções do construtor,
+ * de setOptions() ou de atributos data-* do canvas (ex. data-max-distance="150",
+ * data-colors="#fff, #9be7ff", data-speed-max="0.5", data-interaction="repel, burst").
+ */
+Constellation.defaults = {
+    theme: 'default',
+    seed: null,                             // semente para um céu reproduzível (null: aleatório)
+    background: null,                       // cor de fundo pintada no canvas (null: transparente)
+    starDensity: 8000,                      // px² de tela por estrela
+    maxDistance: 130,                       // distância máxima para ligar duas estrelas
+    starSize: { min: 0.5, max: 2 },
+    opacity: { min: 0.2, max: 0.8 },
+    speed: { min: -0.3, max: 0.3 },
+    colors: ['#ffffff'],                    // paleta das estrelas (qualquer cor CSS)
+    lineColor: '#ffffff',
+    lineWidth: 0.5,
+    lineOpacity: 0.5,                       // opacidade de uma linha entre estrelas sobrepostas
+    maxPixelRatio: 2,                       // limite de resolução em telas HiDPI
+    interaction: ['attract'],               // combinação de attract | repel | connect | burst
+    mouseInfluence: 100,                    // raio de influência do ponteiro
+    mouseForce: 0.00005,
+    burstRadius: 150,                       // alcance da explosão do modo burst
+    burstForce: 2,
+    burstParticles: 8
+};
+
+/**
+ * Temas: conjuntos nomeados de valores aplicados sobre os padrões
+ */
+Constellation.themes = {
+    default: {},
+    aurora: {
+        colors: ['#ffffff', '#9be7ff', '#c3b1ff'],
+        lineColor: '#7fd8ff'
+    },
+    // Para fundos claros (tema claro do site)
+    light: {
+        colors: ['#3b3b52', '#5b4b8a'],
+        lineColor: '#4c4c6a',
+        lineOpacity: 0.35
+    },
+    ember: {
+        colors: ['#fff3e0', '#ffcc80', '#ff8a65'],
+        lineColor: '#ffab73',
+        lineOpacity: 0.4
     }
-});
+};
+
+/**
+ * Qualidade adaptativa. Os níveis vão do melhor para o pior e escalam a configuração:
+ * density multiplica a quantidade de estrelas, distance o maxDistance e lines liga as conexões.
+ */
+Constellation.quality = {
+    tiers: [
+        { name: 'high', density: 1, distance: 1, lines: true },
+        { name: 'medium', density: 0.7, distance: 0.85, lines: true },
+        { name: 'low', density: 0.45, distance: 0.7, lines: true },
+        { name: 'minimal', density: 0.25, distance: 0, lines: false }
+    ],
+    frameBudget: 8,        // ms de trabalho por quadro acima dos quais a qualidade cai
+    headroom: 0.4,         // fração do orçamento abaixo da qual a qualidade sobe
+    sampleSize: 60,        // quadros por medição
+    cooldown: 3000,        // ms mínimos entre mudanças de nível
+    mobileTier: 'medium',  // nível máximo em dispositivos móveis
+    saveDataTier: 'low'    // nível máximo com Save-Data ativo
+};
+
+/**
+ * Script do worker, ao lado deste arquivo (assets/js/constellation-worker.js)
+ */
+Constellation.workerUrl = typeof document !== 'undefined' && document.currentScript
+    ? new URL('constellation-worker.js', document.currentScript.src).href
+    : 'constellation-worker.js';
+
+// Auto-inicializar quando o DOM estiver pronto (não existe DOM dentro do worker)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        // Verificar se o canvas existe
+        const canvas = document.getElementById('constellation');
+        if (canvas) {
+            // Começar com a paleta clara se o tema da página (assets/js/theme.js) for claro
+            const options = document.documentElement.getAttribute('data-theme') === 'light'
+                ? { theme: 'light' }
+                : {};
+            window.constellation = new Constellation('constellation', options);
+        }
+    });
+}
 
 // Exportar para uso modular (se necessário)
 if (typeof module !== 'undefined' && module.exports) {
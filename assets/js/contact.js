@@ -0,0 +1,381 @@
+/**
+ * Contact Form
+ * Validação, proteção contra spam e envio do formulário de contato
+ * através de um adaptador configurável (HTTP, mailto ou mock)
+ */
+
+class ContactForm {
+    /**
+     * @param {string|Element} form - ID ou elemento do formulário
+     * @param {Object} options
+     * @param {Object} options.adapter - Objeto com método async send(data); padrão vem dos data-* do form
+     * @param {Object} options.rateLimit - { max, windowMs, minIntervalMs }
+     */
+    constructor(form, options = {}) {
+        this.form = typeof form === 'string'
+            ? document.getElementById(form)
+            : form;
+        this.adapter = options.adapter || ContactForm.createAdapter(this.form.dataset);
+        this.rateLimit = { ...ContactForm.rateLimit, ...options.rateLimit };
+        this.status = this.form.querySelector('.form-status');
+        this.submitButton = this.form.querySelector('[type="submit"]');
+        this.submitting = false;
+        this.handleLanguageChange = this.handleLanguageChange.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.form.setAttribute('novalidate', '');
+        this.bindEvents();
+    }
+
+    /**
+     * Criar o adaptador a partir da configuração declarada no formulário
+     * @param {Object} config - data-adapter, data-endpoint, data-email
+     * @returns {Object}
+     */
+    static createAdapter(config = {}) {
+        const type = config.adapter || (config.endpoint ? 'http' : 'mailto');
+        const factory = ContactForm.adapters[type];
+
+        if (!factory) {
+            throw new Error(`Adaptador de contato desconhecido: ${type}`);
+        }
+
+        return factory(config);
+    }
+
+    bindEvents() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        // Validar campo ao sair dele e limpar o erro enquanto o usuário corrige
+        this.form.querySelectorAll('input, textarea').forEach(field => {
+            field.addEventListener('blur', () => {
+                if (field.value) {
+                    this.showFieldError(field.name, this.validateField(field.name, field.value));
+                }
+            });
+
+            field.addEventListener('input', () => {
+                if (field.getAttribute('aria-invalid') === 'true') {
+                    this.showFieldError(field.name, this.validateField(field.name, field.value));
+                }
+            });
+        });
+
+        document.addEventListener('languageChanged', this.handleLanguageChange);
+    }
+
+    /**
+     * Remover listeners globais (ao sair da página pelo Router)
+     */
+    destroy() {
+        document.removeEventListener('languageChanged', this.handleLanguageChange);
+    }
+
+    /**
+     * Traduzir os erros que já estão na tela
+     */
+    handleLanguageChange() {
+        this.form.querySelectorAll('[aria-invalid="true"]').forEach(field => {
+            this.showFieldError(field.name, this.validateField(field.name, field.value));
+        });
+    }
+
+    /**
+     * Ler os valores do formulário
+     * @returns {Object}
+     */
+    getData() {
+        const formData = new FormData(this.form);
+        const data = {};
+
+        ['name', 'email', 'phone', 'subject', 'message', 'website'].forEach(field => {
+            data[field] = String(formData.get(field) || '').trim();
+        });
+
+        return data;
+    }
+
+    /**
+     * Validar um campo
+     * @param {string} name
+     * @param {string} value
+     * @returns {string} Mensagem de erro (vazia se válido)
+     */
+    validateField(name, value) {
+        value = String(value || '').trim();
+
+        switch (name) {
+            case 'name':
+                if (!value) return I18n.t('contact.errors.nameRequired');
+                if (value.length < 2) return I18n.t('contact.errors.nameLength');
+                return '';
+            case 'email':
+                if (!value) return I18n.t('contact.errors.emailRequired');
+                if (!Utils.validate.email(value)) return I18n.t('contact.errors.emailInvalid');
+                return '';
+            case 'phone':
+                // Telefone é opcional; aceitar formatação comum como (81) 99999-9999
+                if (value && !Utils.validate.phone(value.replace(/[()\-.]/g, ''))) {
+                    return I18n.t('contact.errors.phoneInvalid');
+                }
+                return '';
+            case 'subject':
+                if (!value) return I18n.t('contact.errors.subjectRequired');
+                return '';
+            case 'message':
+                if (!value) return I18n.t('contact.errors.messageRequired');
+                if (value.length < 10) return I18n.t('contact.errors.messageLength');
+                return '';
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Validar todos os campos e exibir os erros
+     * @param {Object} data
+     * @returns {boolean}
+     */
+    validate(data) {
+        let firstInvalid = null;
+
+        ['name', 'email', 'phone', 'subject', 'message'].forEach(name => {
+            const error = this.validateField(name, data[name]);
+            this.showFieldError(name, error);
+
+            if (error && !firstInvalid) {
+                firstInvalid = this.form.elements[name];
+            }
+        });
+
+        if (firstInvalid) {
+            firstInvalid.focus();
+        }
+
+        return !firstInvalid;
+    }
+
+    /**
+     * Exibir ou limpar o erro inline de um campo
+     * @param {string} name
+     * @param {string} message
+     */
+    showFieldError(name, message) {
+        const field = this.form.elements[name];
+        const error = this.form.querySelector(`#${name}-error`);
+
+        if (!field || !error) return;
+
+        field.setAttribute('aria-invalid', message ? 'true' : 'false');
+        error.textContent = message;
+    }
+
+    /**
+     * Verificar o limite de envios guardado no storage
+     * @returns {string} Mensagem de bloqueio (vazia se liberado)
+     */
+    checkRateLimit() {
+        const now = Date.now();
+        const history = Utils.storage.get(ContactForm.storageKey, [])
+            .filter(time => now - time < this.rateLimit.windowMs);
+        const last = history[history.length - 1];
+
+        if (last && now - last < this.rateLimit.minIntervalMs) {
+            const seconds = Math.ceil((this.rateLimit.minIntervalMs - (now - last)) / 1000);
+            return I18n.t('contact.status.wait', { seconds });
+        }
+
+        if (history.length >= this.rateLimit.max) {
+            return I18n.t('contact.status.limit');
+        }
+
+        return '';
+    }
+
+    /**
+     * Registrar um envio para o limite
+     */
+    recordSubmission() {
+        const now = Date.now();
+        const history = Utils.storage.get(ContactForm.storageKey, [])
+            .filter(time => now - time < this.rateLimit.windowMs);
+
+        history.push(now);
+        Utils.storage.set(ContactForm.storageKey, history);
+    }
+
+    /**
+     * Validar e enviar o formulário pelo adaptador
+     * @returns {Promise<boolean>}
+     */
+    async submit() {
+        if (this.submitting) return false;
+
+        const data = this.getData();
+
+        // Honeypot preenchido: provavelmente um bot. Fingir sucesso sem enviar nada.
+        if (data.website) {
+            this.form.reset();
+            this.showStatus('success', I18n.t('contact.status.success'));
+            return false;
+        }
+
+        if (!this.validate(data)) {
+            this.showStatus('error', I18n.t('contact.status.invalid'));
+            return false;
+        }
+
+        const limitMessage = this.checkRateLimit();
+        if (limitMessage) {
+            this.showStatus('error', limitMessage);
+            return false;
+        }
+
+        delete data.website;
+        this.setSubmitting(true);
+
+        try {
+            await this.adapter.send(data);
+            this.recordSubmission();
+            this.form.reset();
+            this.showStatus('success', I18n.t(this.adapter.successMessage || 'contact.status.success'));
+            return true;
+        } catch (error) {
+            console.error('Erro ao enviar contato:', error);
+            this.showStatus('error', I18n.t('contact.status.error'));
+            return false;
+        } finally {
+            this.setSubmitting(false);
+        }
+    }
+
+    setSubmitting(submitting) {
+        this.submitting = submitting;
+        this.form.setAttribute('aria-busy', String(submitting));
+
+        if (this.submitButton) {
+            this.submitButton.disabled = submitting;
+        }
+    }
+
+    /**
+     * Mensagem geral do formulário
+     * @param {string} type - success | error
+     * @param {string} message
+     */
+    showStatus(type, message) {
+        if (!this.status) return;
+
+        this.status.className = `form-status ${type}`;
+        this.status.textContent = message;
+    }
+}
+
+/**
+ * Limites padrão de envio
+ */
+ContactForm.rateLimit = {
+    max: 3,
+    windowMs: 60 * 60 * 1000,
+    minIntervalMs: 30 * 1000
+};
+
+ContactForm.storageKey = 'contactSubmissions';
+
+/**
+ * Adaptadores de envio. Cada fábrica recebe a configuração e retorna { send(data) },
+ * com successMessage opcional (chave do dicionário ou texto).
+ */
+ContactForm.adapters = {
+    /**
+     * POST JSON para um endpoint (Formspree, função serverless, etc.)
+     */
+    http(config) {
+        return {
+            async send(data) {
+                const response = await fetch(config.endpoint, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json'
+                    },
+                    body: JSON.stringify(data)
+                });
+
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} ao enviar contato`);
+                }
+
+                return response;
+            }
+        };
+    },
+
+    /**
+     * Abrir o cliente de email do visitante com a mensagem preenchida
+     */
+    mailto(config) {
+        return {
+            successMessage: 'contact.status.mailto',
+            async send(data) {
+                const lines = [data.message, '', `${data.name} <${data.email}>`];
+
+                if (data.phone) {
+                    lines.push(data.phone);
+                }
+
+                const params = new URLSearchParams({ subject: data.subject, body: lines.join('\n') });
+                window.location.href = `mailto:${config.email}?${params.toString().replace(/\+/g, '%20')}`;
+            }
+        };
+    },
+
+    /**
+     * Guardar as mensagens localmente, para testes e desenvolvimento
+     */
+    mock(config) {
+        return {
+            async send(data) {
+                await new Promise(resolve => setTimeout(resolve, Number(config.delay) || 300));
+
+                if (config.fail === 'true') {
+                    throw new Error('Falha simulada pelo adaptador mock');
+                }
+
+                const outbox = Utils.storage.get('contactMockOutbox', []);
+                outbox.push({ ...data, sentAt: new Date().toISOString() });
+                Utils.storage.set('contactMockOutbox', outbox);
+                console.log('Contato (mock):', data);
+            }
+        };
+    }
+};
+
+// Auto-inicializar quando o DOM estiver pronto e a cada página trocada pelo Router
+['DOMContentLoaded', 'pageLoaded'].forEach(type => {
+    document.addEventListener(type, () => {
+        const form = document.getElementById('contactForm');
+        if (form) {
+            window.contactForm = new ContactForm(form);
+        }
+    });
+});
+
+// Desmontar ao sair da página pelo Router
+document.addEventListener('pageUnload', () => {
+    if (window.contactForm) {
+        window.contactForm.destroy();
+        window.contactForm = null;
+    }
+});
+
+// Exportar para uso modular (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContactForm;
+}
@@ -0,0 +1,290 @@
+/**
+ * I18n
+ * Traduções da interface a partir de data/i18n/<idioma>.json, seletor de idioma
+ * e formatação de datas no idioma ativo
+ */
+
+const I18n = {
+    /**
+     * Idiomas disponíveis (o primeiro é o idioma original do site)
+     */
+    locales: ['pt-BR', 'en'],
+
+    defaultLocale: 'pt-BR',
+
+    storageKey: 'language',
+
+    /**
+     * Nomes exibidos no seletor
+     */
+    names: {
+        'pt-BR': { short: 'PT', label: 'Português' },
+        en: { short: 'EN', label: 'English' }
+    },
+
+    /**
+     * Raiz do site, calculada a partir da localização deste script (assets/js/i18n.js)
+     */
+    baseUrl: document.currentScript
+        ? new URL('../../', document.currentScript.src)
+        : new URL('./', window.location.href),
+
+    locale: 'pt-BR',
+
+    /**
+     * Dicionários já baixados, por idioma
+     */
+    dictionaries: {},
+
+    /**
+     * Resolvida quando o dicionário do idioma inicial estiver carregado
+     */
+    ready: Promise.resolve('pt-BR'),
+
+    init() {
+        this.ready = this.setLocale(this.detect(), false);
+
+        // Fragmentos de components/ chegam depois: traduzir e ligar o seletor
+        document.addEventListener('componentsLoaded', (e) => {
+            this.ready.then(() => {
+                e.detail.elements.forEach(element => this.apply(element));
+                this.setupSwitcher();
+            });
+        });
+
+        return this.ready;
+    },
+
+    /**
+     * Idioma salvo ou, na primeira visita, o preferido pelo navegador
+     * @returns {string}
+     */
+    detect() {
+        const saved = Utils.storage.get(this.storageKey);
+
+        if (this.locales.includes(saved)) {
+            return saved;
+        }
+
+        const preferred = navigator.languages && navigator.languages.length
+            ? navigator.languages
+            : [navigator.language];
+
+        for (const language of preferred) {
+            const match = this.match(language);
+            if (match) return match;
+        }
+
+        return this.defaultLocale;
+    },
+
+    /**
+     * Idioma disponível correspondente a uma tag (ex. "en-US" -> "en", "pt" -> "pt-BR")
+     * @param {string} language
+     * @returns {string|null}
+     */
+    match(language) {
+        if (!language) return null;
+
+        const tag = language.toLowerCase();
+        const exact = this.locales.find(locale => locale.toLowerCase() === tag);
+
+        return exact || this.locales.find(locale => locale.split('-')[0].toLowerCase() === tag.split('-')[0]) || null;
+    },
+
+    /**
+     * Baixar um dicionário (com cache)
+     * @param {string} locale
+     * @returns {Promise<Object>}
+     */
+    load(locale) {
+        if (!this.dictionaries[locale]) {
+            const url = new URL(`data/i18n/${locale}.json`, this.baseUrl);
+
+            this.dictionaries[locale] = fetch(url).then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} ao carregar ${url}`);
+                }
+                return response.json();
+            });
+
+            // Permitir nova tentativa se falhar
+            this.dictionaries[locale].catch(() => delete this.dictionaries[locale]);
+        }
+
+        return this.dictionaries[locale];
+    },
+
+    /**
+     * Trocar o idioma ativo, traduzir a página e avisar o restante do site
+     * @param {string} locale
+     * @param {boolean} persist - Salvar a escolha no storage
+     * @returns {Promise<string>} Idioma efetivamente aplicado
+     */
+    async setLocale(locale, persist = true) {
+        locale = this.match(locale) || this.defaultLocale;
+        const initial = !this.dictionary;
+
+        try {
+            // O dicionário original serve de reserva para chaves ainda não traduzidas
+            [this.fallback, this.dictionary] = await Promise.all([
+                this.load(this.defaultLocale),
+                this.load(locale)
+            ]);
+        } catch (error) {
+            console.error(`Erro ao carregar o idioma "${locale}":`, error);
+
+            if (locale === this.defaultLocale) {
+                this.fallback = this.dictionary = {};
+            } else {
+                return this.setLocale(this.defaultLocale, false);
+            }
+        }
+
+        const changed = locale !== this.locale;
+        this.locale = locale;
+
+        if (persist) {
+            Utils.storage.set(this.storageKey, locale);
+        }
+
+        document.documentElement.lang = locale;
+        this.apply(document);
+        this.updateSwitcher();
+
+        // No carregamento inicial os módulos ainda vão renderizar, não há o que atualizar
+        if (changed && !initial) {
+            document.dispatchEvent(new CustomEvent('languageChanged', { detail: { locale } }));
+        }
+
+        return locale;
+    },
+
+    /**
+     * Próximo idioma da lista (usado pelo seletor)
+     * @returns {string}
+     */
+    next() {
+        return this.locales[(this.locales.indexOf(this.locale) + 1) % this.locales.length];
+    },
+
+    /**
+     * Traduzir uma chave ("projects.status.completed"), com parâmetros {nome}.
+     * Valores { one, other } escolhem a forma plural a partir de params.count.
+     * @param {string} key
+     * @param {Object} params
+     * @returns {string} A tradução, ou a própria chave se não existir
+     */
+    t(key, params = {}) {
+        let value = this.lookup(this.dictionary, key);
+
+        if (value === undefined) {
+            value = this.lookup(this.fallback, key);
+        }
+
+        if (value && typeof value === 'object' && params.count !== undefined) {
+            const rule = new Intl.PluralRules(this.locale).select(params.count);
+            value = value[rule] !== undefined ? value[rule] : value.other;
+        }
+
+        if (typeof value !== 'string') {
+            return key;
+        }
+
+        return value.replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] !== undefined ? params[name] : match
+        );
+    },
+
+    lookup(dictionary, key) {
+        return key.split('.').reduce((node, part) =>
+            node && typeof node === 'object' ? node[part] : undefined, dictionary);
+    },
+
+    /**
+     * Traduzir os elementos marcados de um contexto:
+     * data-i18n="chave" (texto) e data-i18n-attr="atributo:chave; outro:chave"
+     * @param {Element|Document} root
+     */
+    apply(root = document) {
+        const select = selector => [
+            ...(root.matches && root.matches(selector) ? [root] : []),
+            ...root.querySelectorAll(selector)
+        ];
+
+        select('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.getAttribute('data-i18n'));
+        });
+
+        select('[data-i18n-attr]').forEach(el => {
+            el.getAttribute('data-i18n-attr').split(';').forEach(pair => {
+                const [attr, key] = pair.split(':').map(part => part.trim());
+                if (attr && key) {
+                    el.setAttribute(attr, this.t(key));
+                }
+            });
+        });
+    },
+
+    /**
+     * Versão de um registro de dados no idioma ativo: campos em item.i18n[idioma]
+     * substituem os originais (escritos no idioma padrão)
+     * @param {Object} item
+     * @returns {Object}
+     */
+    localize(item) {
+        const translations = item && item.i18n && item.i18n[this.locale];
+        return translations ? { ...item, ...translations } : item;
+    },
+
+    /**
+     * Data no idioma ativo
+     * @param {Date|string} date
+     * @param {Object} options - Opções do Intl.DateTimeFormat
+     * @returns {string}
+     */
+    formatDate(date, options) {
+        return Utils.formatDate(date instanceof Date ? date : new Date(date), this.locale, options);
+    },
+
+    /**
+     * Ligar os botões .language-toggle (vindos do header compartilhado)
+     */
+    setupSwitcher() {
+        document.querySelectorAll('.language-toggle:not([data-bound])').forEach(button => {
+            button.setAttribute('data-bound', '');
+            button.addEventListener('click', () => {
+                this.setLocale(this.next());
+            });
+        });
+
+        this.updateSwitcher();
+    },
+
+    updateSwitcher() {
+        const next = this.names[this.next()];
+
+        document.querySelectorAll('.language-toggle').forEach(button => {
+            const label = this.t('language.switch', { language: next.label });
+            button.setAttribute('aria-label', label);
+            button.setAttribute('title', label);
+
+            const text = button.querySelector('.language-toggle-text');
+            if (text) {
+                text.textContent = this.names[this.locale].short;
+            }
+        });
+    }
+};
+
+// Carregar o idioma quando o DOM estiver pronto (antes dos módulos que renderizam texto)
+document.addEventListener('DOMContentLoaded', () => {
+    I18n.init();
+});
+
+// Exportar para uso em outros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+} else if (typeof window !== 'undefined') {
+    window.I18n = I18n;
+}
@@ -5,10 +5,12 @@
 
 class Portfolio {
     constructor() {
+        this.handleMobileMenuKeydown = this.handleMobileMenuKeydown.bind(this);
         this.init();
     }
 
     init() {
+        this.setupTheme();
         this.setupEventListeners();
         this.setupMobileMenu();
         this.setupScrollEffects();
@@ -16,9 +18,128 @@ class Portfolio {
         this.setupScrollIndicator(); // Adicionar esta linha
         this.setupPageTransitions();
         this.setupPerformanceOptimizations();
+        this.setupInstallPrompt();
         this.handleInitialLoad();
     }
 
+    /**
+     * Tema claro, escuro ou do sistema. O tema inicial já foi aplicado antes da pintura
+     * por assets/js/theme.js; aqui ficam a escolha salva, o botão do header e a troca ao vivo.
+     */
+    setupTheme() {
+        const saved = Utils.storage.get(Portfolio.themeStorageKey, 'system');
+        this.themeChoice = Portfolio.themeChoices.some(choice => choice.value === saved) ? saved : 'system';
+
+        // Acompanhar o sistema enquanto a escolha for "system"
+        if (window.matchMedia) {
+            const query = window.matchMedia('(prefers-color-scheme: dark)');
+            const handleChange = () => {
+                if (this.themeChoice === 'system') {
+                    this.applyTheme();
+                }
+            };
+
+            if (query.addEventListener) {
+                query.addEventListener('change', handleChange);
+            } else if (query.addListener) {
+                query.addListener(handleChange);
+            }
+        }
+
+        this.applyTheme();
+        this.setupThemeToggle();
+    }
+
+    /**
+     * Tema efetivo a partir da escolha
+     * @returns {string} light | dark
+     */
+    getResolvedTheme() {
+        if (this.themeChoice === 'system') {
+            return Utils.prefersDarkMode() ? 'dark' : 'light';
+        }
+        return this.themeChoice;
+    }
+
+    /**
+     * Escolher e salvar o tema
+     * @param {string} choice - system | light | dark
+     */
+    setTheme(choice) {
+        this.themeChoice = choice;
+        Utils.storage.set(Portfolio.themeStorageKey, choice);
+        this.applyTheme();
+    }
+
+    /**
+     * Aplicar o tema na página, na barra do navegador e na constelação
+     */
+    applyTheme() {
+        const theme = this.getResolvedTheme();
+        const root = document.documentElement;
+
+        root.setAttribute('data-theme', theme);
+
+        const themeColor = document.querySelector('meta[name="theme-color"]');
+        if (themeColor) {
+            const background = getComputedStyle(root).getPropertyValue('--color-bg').trim();
+            if (background) {
+                themeColor.setAttribute('content', background);
+            }
+        }
+
+        // No escuro a constelação volta ao tema declarado no canvas (data-theme), se houver
+        if (window.constellation) {
+            const pageTheme = window.constellation.canvas.dataset.theme || 'default';
+            window.constellation.setOptions({ theme: theme === 'light' ? 'light' : pageTheme });
+        }
+
+        this.updateThemeToggle();
+        this.dispatchCustomEvent('themeChanged', { theme, choice: this.themeChoice });
+    }
+
+    /**
+     * Botão do header que alterna sistema → claro → escuro
+     */
+    setupThemeToggle() {
+        const toggle = document.querySelector('.theme-toggle');
+
+        if (!toggle || toggle.dataset.themeBound) return;
+        toggle.dataset.themeBound = 'true';
+
+        toggle.addEventListener('click', () => {
+            this.cycleTheme();
+        });
+
+        // Os rótulos vêm do dicionário do idioma ativo
+        I18n.ready.then(() => this.updateThemeToggle());
+    }
+
+    /**
+     * Próxima opção de tema (botão do header e atalho de teclado)
+     */
+    cycleTheme() {
+        const choices = Portfolio.themeChoices;
+        const index = choices.findIndex(choice => choice.value === this.themeChoice);
+        this.setTheme(choices[(index + 1) % choices.length].value);
+    }
+
+    updateThemeToggle() {
+        const toggle = document.querySelector('.theme-toggle');
+        const choice = Portfolio.themeChoices.find(item => item.value === this.themeChoice);
+
+        if (!toggle || !choice) return;
+
+        const label = I18n.t('theme.hint', { label: I18n.t(`theme.${choice.value}`) });
+        toggle.setAttribute('aria-label', label);
+        toggle.setAttribute('title', label);
+
+        const icon = toggle.querySelector('.theme-toggle-icon');
+        if (icon) {
+            icon.textContent = choice.icon;
+        }
+    }
+
     /**
      * Configurar event listeners principais
      */
@@ -42,6 +163,21 @@ class Portfolio {
         document.addEventListener('visibilitychange', () => {
             this.handleVisibilityChange();
         });
+
+        // Header/footer injetados por assets/js/components.js
+        document.addEventListener('componentsLoaded', () => {
+            this.handleComponentsLoaded();
+        });
+
+        // Textos com data-i18n são traduzidos pelo I18n; o botão de tema é montado aqui
+        document.addEventListener('languageChanged', () => {
+            this.updateThemeToggle();
+        });
+
+        // Conteúdo trocado pelo Router (assets/js/router.js)
+        document.addEventListener('pageLoaded', () => {
+            this.handlePageChange();
+        });
     }
 
     /**
@@ -51,7 +187,10 @@ class Portfolio {
         const mobileMenuBtn = document.querySelector('.mobile-menu-btn');
         const nav = document.querySelector('.nav');
         
-        if (mobileMenuBtn && nav) {
+        // Pode rodar de novo depois que o header é injetado; não duplicar listeners
+        if (mobileMenuBtn && nav && !mobileMenuBtn.dataset.menuBound) {
+            mobileMenuBtn.dataset.menuBound = 'true';
+
             mobileMenuBtn.addEventListener('click', () => {
                 this.toggleMobileMenu();
             });
@@ -65,11 +204,14 @@ class Portfolio {
             });
 
             // Fechar menu ao clicar fora
-            document.addEventListener('click', (e) => {
-                if (!e.target.closest('.header')) {
-                    this.closeMobileMenu();
-                }
-            });
+            if (!this.outsideClickBound) {
+                this.outsideClickBound = true;
+                document.addEventListener('click', (e) => {
+                    if (!e.target.closest('.header')) {
+                        this.closeMobileMenu();
+                    }
+                });
+            }
         }
     }
 
@@ -77,33 +219,113 @@ class Portfolio {
      * Toggle do menu mobile
      */
     toggleMobileMenu() {
+        const nav = document.querySelector('.nav');
+
+        if (nav && nav.classList.contains('active')) {
+            this.closeMobileMenu(true);
+        } else {
+            this.openMobileMenu();
+        }
+    }
+
+    /**
+     * Abrir menu mobile e levar o foco para o primeiro link
+     */
+    openMobileMenu() {
         const mobileMenuBtn = document.querySelector('.mobile-menu-btn');
         const nav = document.querySelector('.nav');
-        
+
         if (mobileMenuBtn && nav) {
-            mobileMenuBtn.classList.toggle('active');
-            nav.classList.toggle('active');
-            
+            mobileMenuBtn.classList.add('active');
+            nav.classList.add('active');
+            this.updateMobileMenuButton(mobileMenuBtn, true);
+
             // Prevenir scroll do body quando menu está aberto
-            if (nav.classList.contains('active')) {
-                document.body.style.overflow = 'hidden';
-            } else {
-                document.body.style.overflow = '';
+            document.body.style.overflow = 'hidden';
+            document.addEventListener('keydown', this.handleMobileMenuKeydown);
+
+            const firstLink = nav.querySelector('.nav-link');
+            if (firstLink) {
+                firstLink.focus();
             }
         }
     }
 
     /**
      * Fechar menu mobile
+     * @param {boolean} restoreFocus - Devolver o foco ao botão (fechamento pelo teclado ou pelo botão)
      */
-    closeMobileMenu() {
+    closeMobileMenu(restoreFocus = false) {
         const mobileMenuBtn = document.querySelector('.mobile-menu-btn');
         const nav = document.querySelector('.nav');
         
         if (mobileMenuBtn && nav) {
+            const wasOpen = nav.classList.contains('active');
+
             mobileMenuBtn.classList.remove('active');
             nav.classList.remove('active');
-            document.body.style.overflow = '';
+            this.updateMobileMenuButton(mobileMenuBtn, false);
+            document.removeEventListener('keydown', this.handleMobileMenuKeydown);
+
+            if (wasOpen) {
+                document.body.style.overflow = '';
+
+                if (restoreFocus) {
+                    mobileMenuBtn.focus();
+                }
+            }
+        }
+    }
+
+    /**
+     * Estado e rótulo do botão do menu (o rótulo segue o idioma via data-i18n-attr)
+     * @param {HTMLElement} button
+     * @param {boolean} open
+     */
+    updateMobileMenuButton(button, open) {
+        const key = open ? 'nav.closeMenu' : 'nav.openMenu';
+
+        button.setAttribute('aria-expanded', String(open));
+        button.setAttribute('data-i18n-attr', `aria-label: ${key}`);
+        button.setAttribute('aria-label', I18n.t(key));
+    }
+
+    /**
+     * Teclado com o menu mobile aberto: Escape fecha, setas/Home/End percorrem os links
+     * e Tab circula entre o botão do menu e os links
+     * @param {KeyboardEvent} e
+     */
+    handleMobileMenuKeydown(e) {
+        const mobileMenuBtn = document.querySelector('.mobile-menu-btn');
+        const nav = document.querySelector('.nav');
+
+        if (!mobileMenuBtn || !nav) return;
+
+        const links = Array.from(nav.querySelectorAll('.nav-link'));
+        const focusable = [mobileMenuBtn, ...links];
+        const index = focusable.indexOf(document.activeElement);
+        const linkIndex = links.indexOf(document.activeElement);
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeMobileMenu(true);
+        } else if (e.key === 'Tab') {
+            const last = focusable.length - 1;
+
+            if (index === -1 || (e.shiftKey && index === 0) || (!e.shiftKey && index === last)) {
+                e.preventDefault();
+                focusable[e.shiftKey ? last : 0].focus();
+            }
+        } else if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && links.length > 0) {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            const next = linkIndex === -1
+                ? (step > 0 ? 0 : links.length - 1)
+                : (linkIndex + step + links.length) % links.length;
+            links[next].focus();
+        } else if ((e.key === 'Home' || e.key === 'End') && links.length > 0) {
+            e.preventDefault();
+            links[e.key === 'Home' ? 0 : links.length - 1].focus();
         }
     }
 
@@ -120,24 +342,28 @@ class Portfolio {
 
     /**
      * Observer para elementos que aparecem no scroll
+     * @param {Element|Document} context - Onde procurar elementos (útil para conteúdo injetado depois)
      */
-    observeScrollElements() {
-        const observerOptions = {
-            threshold: 0.1,
-            rootMargin: '0px 0px -50px 0px'
-        };
-
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('revealed');
-                }
-            });
-        }, observerOptions);
+    observeScrollElements(context = document) {
+        if (!this.revealObserver) {
+            const observerOptions = {
+                threshold: 0.1,
+                rootMargin: '0px 0px -50px 0px'
+            };
+
+            this.revealObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        entry.target.classList.add('revealed');
+                        this.revealObserver.unobserve(entry.target);
+                    }
+                });
+            }, observerOptions);
+        }
 
         // Observar elementos com classe scroll-reveal
-        const scrollElements = document.querySelectorAll('.scroll-reveal');
-        scrollElements.forEach(el => observer.observe(el));
+        const scrollElements = context.querySelectorAll('.scroll-reveal:not(.revealed)');
+        scrollElements.forEach(el => this.revealObserver.observe(el));
     }
 
     /**
@@ -145,47 +371,44 @@ class Portfolio {
      */
     setupParallax() {
         const profileImage = document.querySelector('.profile-image');
+
+        // Ao trocar de página, soltar a imagem da página anterior
+        if (this.parallaxHandler) {
+            window.removeEventListener('scroll', this.parallaxHandler);
+            this.parallaxHandler = null;
+        }
         
         if (profileImage) {
-            window.addEventListener('scroll', Utils.throttle(() => {
+            this.parallaxHandler = Utils.throttle(() => {
                 const scrolled = window.pageYOffset;
                 const rate = scrolled * -0.5;
                 profileImage.style.transform = `translateY(${rate}px)`;
-            }, 16));
+            }, 16);
+
+            window.addEventListener('scroll', this.parallaxHandler);
         }
     }
 
     /**
      * Configurar transições de página
+     * A navegação entre páginas (com View Transitions) fica com o Router
      */
     setupPageTransitions() {
         // Fade in inicial
         document.body.style.opacity = '0';
         document.body.style.transition = 'opacity 0.5s ease';
-        
-        // Links internos com transição suave
-        this.setupSmoothTransitions();
     }
 
     /**
-     * Transições suaves para links internos
+     * Refazer o que depende do conteúdo da página depois de uma navegação pelo Router
      */
-    setupSmoothTransitions() {
-        const internalLinks = document.querySelectorAll('a[href^="./"], a[href^="/"]');
-        
-        internalLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                const href = link.getAttribute('href');
-                
-                // Fade out
-                document.body.style.opacity = '0';
-                
-                setTimeout(() => {
-                    window.location.href = href;
-                }, 300);
-            });
-        });
+    handlePageChange() {
+        this.closeMobileMenu();
+        this.setupScrollEffects();
+        this.setupActiveNavigation();
+        this.setupScrollIndicator();
+        this.setupLazyLoading();
+        this.handleScroll();
     }
 
     /**
@@ -336,12 +559,19 @@ class Portfolio {
 
     /**
      * Método para adicionar partículas decorativas
+     * @param {number} x - Posição na janela
+     * @param {number} y
+     * @param {number} dx - Deslocamento horizontal durante a animação
+     * @param {number} dy - Deslocamento vertical durante a animação
      */
-    createParticle(x, y) {
+    createParticle(x, y, dx = 0, dy = -40) {
         const particle = document.createElement('div');
         particle.className = 'particle';
         particle.style.left = x + 'px';
         particle.style.top = y + 'px';
+        // Deslocamento final da animação (ver .particle em animations.css)
+        particle.style.setProperty('--particle-dx', dx + 'px');
+        particle.style.setProperty('--particle-dy', dy + 'px');
         
         document.body.appendChild(particle);
         
@@ -352,6 +582,168 @@ class Portfolio {
             }
         }, 3000);
     }
+    /**
+     * Botão "Instalar app" no header quando o navegador permite instalar o PWA
+     */
+    setupInstallPrompt() {
+        window.addEventListener('beforeinstallprompt', (e) => {
+            // Guardar o evento para disparar o prompt a partir do nosso botão
+            e.preventDefault();
+            this.deferredInstallPrompt = e;
+            this.showInstallButton();
+        });
+
+        window.addEventListener('appinstalled', () => {
+            this.deferredInstallPrompt = null;
+            this.hideInstallButton();
+            this.dispatchCustomEvent('portfolioInstalled');
+        });
+    }
+
+    /**
+     * Exibir o botão de instalação no header
+     */
+    showInstallButton() {
+        const headerContainer = document.querySelector('.header .container');
+
+        if (!headerContainer) return;
+
+        let installBtn = headerContainer.querySelector('.install-btn');
+
+        if (!installBtn) {
+            installBtn = document.createElement('button');
+            installBtn.type = 'button';
+            installBtn.className = 'install-btn';
+            installBtn.textContent = I18n.t('app.install');
+            installBtn.setAttribute('aria-label', I18n.t('app.installLabel'));
+            installBtn.setAttribute('data-i18n', 'app.install');
+            installBtn.setAttribute('data-i18n-attr', 'aria-label: app.installLabel');
+            installBtn.addEventListener('click', () => this.promptInstall());
+
+            const mobileMenuBtn = headerContainer.querySelector('.mobile-menu-btn');
+            headerContainer.insertBefore(installBtn, mobileMenuBtn);
+        }
+
+        installBtn.hidden = false;
+    }
+
+    hideInstallButton() {
+        const installBtn = document.querySelector('.install-btn');
+        if (installBtn) {
+            installBtn.hidden = true;
+        }
+    }
+
+    /**
+     * Disparar o prompt nativo de instalação
+     */
+    async promptInstall() {
+        if (!this.deferredInstallPrompt) return;
+
+        this.deferredInstallPrompt.prompt();
+        const { outcome } = await this.deferredInstallPrompt.userChoice;
+
+        // O evento só pode ser usado uma vez
+        this.deferredInstallPrompt = null;
+        this.hideInstallButton();
+
+        return outcome;
+    }
+
+    /**
+     * Avisar quando uma nova versão do service worker estiver esperando
+     * @param {ServiceWorkerRegistration} registration
+     */
+    watchServiceWorkerUpdates(registration) {
+        // Só existe "atualização" se a página já é controlada por uma versão anterior
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdateToast(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdateToast(worker);
+                }
+            });
+        });
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloadingForUpdate) {
+                window.location.reload();
+            }
+        });
+    }
+
+    /**
+     * Toast "nova versão disponível"
+     * @param {ServiceWorker} worker - Service worker em espera
+     */
+    showUpdateToast(worker) {
+        this.showToast(I18n.t('app.updateAvailable'), {
+            label: I18n.t('app.reload'),
+            onClick: () => {
+                this.reloadingForUpdate = true;
+                worker.postMessage({ type: 'SKIP_WAITING' });
+            }
+        });
+    }
+
+    /**
+     * Exibir uma notificação temporária no rodapé da tela
+     * @param {string} message
+     * @param {Object|null} action - { label, onClick }
+     * @param {number} duration - Tempo em ms (0 mantém até fechar)
+     */
+    showToast(message, action = null, duration = 0) {
+        const existing = document.querySelector('.toast');
+        if (existing) {
+            existing.remove();
+        }
+
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.setAttribute('role', 'status');
+        toast.setAttribute('aria-live', 'polite');
+
+        const text = document.createElement('span');
+        text.className = 'toast-message';
+        text.textContent = message;
+        toast.appendChild(text);
+
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
+            actionBtn.className = 'toast-action';
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', () => {
+                action.onClick();
+                toast.remove();
+            });
+            toast.appendChild(actionBtn);
+        }
+
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.className = 'toast-close';
+        closeBtn.setAttribute('aria-label', I18n.t('app.closeToast'));
+        closeBtn.innerHTML = '&times;';
+        closeBtn.addEventListener('click', () => toast.remove());
+        toast.appendChild(closeBtn);
+
+        document.body.appendChild(toast);
+
+        if (duration > 0) {
+            setTimeout(() => toast.remove(), duration);
+        }
+
+        return toast;
+    }
+
     /**
      * Configurar navegação ativa baseada no scroll
      */
@@ -370,6 +762,11 @@ class Portfolio {
             rootMargin: '-20% 0px -70% 0px'
         };
         
+        // Ao rodar de novo (header injetado), descartar o observer anterior
+        if (this.navObserver) {
+            this.navObserver.disconnect();
+        }
+
         const observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
@@ -398,6 +795,21 @@ class Portfolio {
         if (main && main.id) {
             observer.observe(main);
         }
+
+        this.navObserver = observer;
+    }
+
+    /**
+     * Religar o comportamento do header/footer depois que os componentes são injetados
+     */
+    handleComponentsLoaded() {
+        this.setupMobileMenu();
+        this.setupActiveNavigation();
+        this.setupThemeToggle();
+
+        if (this.deferredInstallPrompt) {
+            this.showInstallButton();
+        }
     }
     /**
      * Configurar indicador de scroll
@@ -416,6 +828,10 @@ class Portfolio {
             });
             
             // Esconder a seta quando não estiver na seção home
+            if (this.scrollIndicatorObserver) {
+                this.scrollIndicatorObserver.disconnect();
+            }
+
             const observer = new IntersectionObserver((entries) => {
                 entries.forEach(entry => {
                     if (entry.target.id === 'home') {
@@ -434,48 +850,46 @@ class Portfolio {
             if (homeSection) {
                 observer.observe(homeSection);
             }
+
+            this.scrollIndicatorObserver = observer;
         }
     }
 }
 
+/**
+ * Opções de tema, na ordem em que o botão do header alterna (rótulos em theme.* nos dicionários)
+ */
+Portfolio.themeChoices = [
+    { value: 'system', icon: '\u25D0' },
+    { value: 'light', icon: '\u2600' },
+    { value: 'dark', icon: '\u263E' }
+];
+
+Portfolio.themeStorageKey = 'theme';
+
 // Inicializar quando o DOM estiver pronto
 document.addEventListener('DOMContentLoaded', () => {
     window.portfolio = new Portfolio();
 });
 
-// Manipular erros globais
-window.addEventListener('error', (e) => {
-    console.error('Erro capturado:', e.error);
-    // Aqui você pode adicionar tracking de erros se necessário
-});
-
 // Service Worker registration (opcional, para PWA)
+// O sw.js fica na raiz do site; resolver a partir deste script para funcionar também em pages/
+const serviceWorkerUrl = document.currentScript
+    ? new URL('../../sw.js', document.currentScript.src).href
+    : './sw.js';
+
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
-        navigator.serviceWorker.register('./sw.js')
+        navigator.serviceWorker.register(serviceWorkerUrl)
             .then(registration => {
                 console.log('SW registrado com sucesso:', registration);
+
+                if (window.portfolio) {
+                    window.portfolio.watchServiceWorkerUpdates(registration);
+                }
             })
             .catch(error => {
                 console.log('Falha ao registrar SW:', error);
             });
     });
-    // Desabilita botão direito
-document.addEventListener('contextmenu', function(e) {
-    e.preventDefault();
-});
-
-// Desabilita teclas de desenvolvedor
-document.addEventListener('keydown', function(e) {
-    if (e.key === 'F12' || 
-        (e.ctrlKey && e.shiftKey && e.key === 'I') || 
-        (e.ctrlKey && e.shiftKey && e.key === 'J') || 
-        (e.ctrlKey && e.key === 'U')) { 
-        e.preventDefault(); 
-    } 
-});
-    
 }
-
-
-
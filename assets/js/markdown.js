@@ -0,0 +1,266 @@
+/**
+ * Markdown
+ * Renderizador de Markdown enxuto para os posts do blog.
+ * Todo HTML bruto do texto é escapado e a saída passa por uma lista de tags/atributos permitidos.
+ */
+
+const Markdown = {
+    /**
+     * Tags e atributos permitidos na saída
+     */
+    allowedTags: {
+        a: ['href', 'title'],
+        blockquote: [],
+        br: [],
+        code: ['class'],
+        del: [],
+        em: [],
+        h1: ['id'],
+        h2: ['id'],
+        h3: ['id'],
+        h4: ['id'],
+        h5: ['id'],
+        h6: ['id'],
+        hr: [],
+        img: ['src', 'alt', 'title', 'loading'],
+        li: [],
+        ol: [],
+        p: [],
+        pre: [],
+        strong: [],
+        ul: []
+    },
+
+    /**
+     * Converter Markdown em HTML sanitizado
+     * @param {string} source
+     * @returns {{html: string, headings: Array<{level: number, id: string, text: string}>}}
+     */
+    render(source) {
+        const headings = [];
+        const usedIds = {};
+        const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            // Bloco de código cercado
+            const fence = line.match(/^```\s*([\w-]*)\s*$/);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !/^```\s*$/.test(lines[i])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                const lang = fence[1] ? ` class="language-${fence[1]}"` : '';
+                blocks.push(`<pre><code${lang}>${this.escape(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+            if (heading) {
+                const level = heading[1].length;
+                const text = heading[2];
+                const id = this.uniqueId(this.slugify(text), usedIds);
+                headings.push({ level, id, text: this.stripInline(text) });
+                blocks.push(`<h${level} id="${id}">${this.inline(text)}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (/^(\*\s*){3,}$|^(-\s*){3,}$|^(_\s*){3,}$/.test(line.trim())) {
+                blocks.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (/^>\s?/.test(line)) {
+                const quote = [];
+                while (i < lines.length && /^>\s?/.test(lines[i])) {
+                    quote.push(lines[i].replace(/^>\s?/, ''));
+                    i++;
+                }
+                blocks.push(`<blockquote>${this.render(quote.join('\n')).html}</blockquote>`);
+                continue;
+            }
+
+            const listMatch = line.match(/^\s*([-*+]|\d+[.)])\s+/);
+            if (listMatch) {
+                const ordered = /\d/.test(listMatch[1]);
+                const pattern = ordered ? /^\s*\d+[.)]\s+/ : /^\s*[-*+]\s+/;
+                const items = [];
+                while (i < lines.length && pattern.test(lines[i])) {
+                    items.push(`<li>${this.inline(lines[i].replace(pattern, ''))}</li>`);
+                    i++;
+                }
+                const tag = ordered ? 'ol' : 'ul';
+                blocks.push(`<${tag}>${items.join('')}</${tag}>`);
+                continue;
+            }
+
+            // Parágrafo: linhas seguidas até uma linha em branco ou outro bloco
+            const paragraph = [];
+            while (
+                i < lines.length &&
+                lines[i].trim() &&
+                !/^(#{1,6}\s|```|>|\s*([-*+]|\d+[.)])\s+)/.test(lines[i])
+            ) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+            blocks.push(`<p>${this.inline(paragraph.join('\n')).replace(/\n/g, ' ')}</p>`);
+        }
+
+        return {
+            html: this.sanitize(blocks.join('\n')),
+            headings
+        };
+    },
+
+    /**
+     * Elementos inline: código, imagens, links, negrito, itálico e tachado
+     * @param {string} text
+     * @returns {string}
+     */
+    inline(text) {
+        const codeSpans = [];
+
+        // Proteger trechos de código antes das outras regras
+        let html = this.escape(text).replace(/`([^`]+)`/g, (match, code) => {
+            codeSpans.push(`<code>${code}</code>`);
+            return `\u0000${codeSpans.length - 1}\u0000`;
+        });
+
+        html = html
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;([^&]*)&quot;)?\)/g, (match, alt, src, title) => {
+                const url = this.safeUrl(src);
+                if (!url) return alt;
+                return `<img src="${url}" alt="${alt}"${title ? ` title="${title}"` : ''} loading="lazy">`;
+            })
+            .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;([^&]*)&quot;)?\)/g, (match, label, href, title) => {
+                const url = this.safeUrl(href);
+                if (!url) return label;
+                return `<a href="${url}"${title ? ` title="${title}"` : ''}>${label}</a>`;
+            })
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+            .replace(/~~([^~]+)~~/g, '<del>$1</del>');
+
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+    },
+
+    /**
+     * Texto puro de um trecho inline (usado no sumário)
+     * @param {string} text
+     * @returns {string}
+     */
+    stripInline(text) {
+        return text
+            .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/[*_~`]/g, '');
+    },
+
+    /**
+     * Escapar caracteres especiais de HTML
+     * @param {string} text
+     * @returns {string}
+     */
+    escape(text) {
+        return Utils.escapeHTML(text);
+    },
+
+    /**
+     * Aceitar apenas URLs http(s), mailto e caminhos relativos (sem esquema)
+     * @param {string} url
+     * @returns {string} A própria URL se for segura, ou string vazia
+     */
+    safeUrl(url) {
+        return Utils.safeUrl(url.replace(/&amp;/g, '&')) ? url : '';
+    },
+
+    /**
+     * Gerar id de âncora a partir de um título
+     * @param {string} text
+     * @returns {string}
+     */
+    slugify(text) {
+        return this.stripInline(text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\w\s-]/g, '')
+            .trim()
+            .replace(/\s+/g, '-') || 'secao';
+    },
+
+    uniqueId(id, used) {
+        used[id] = (used[id] || 0) + 1;
+        return used[id] > 1 ? `${id}-${used[id] - 1}` : id;
+    },
+
+    /**
+     * Remover da saída qualquer tag ou atributo fora da lista permitida
+     * @param {string} html
+     * @returns {string}
+     */
+    sanitize(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        const walk = (node) => {
+            Array.from(node.childNodes).forEach(child => {
+                if (child.nodeType === Node.COMMENT_NODE) {
+                    child.remove();
+                    return;
+                }
+
+                if (child.nodeType !== Node.ELEMENT_NODE) {
+                    return;
+                }
+
+                const tag = child.tagName.toLowerCase();
+                const allowed = this.allowedTags[tag];
+
+                if (!allowed) {
+                    // Manter o texto, descartar a tag
+                    child.replaceWith(document.createTextNode(child.textContent));
+                    return;
+                }
+
+                Array.from(child.attributes).forEach(attr => {
+                    const isUrl = attr.name === 'href' || attr.name === 'src';
+
+                    if (!allowed.includes(attr.name) || (isUrl && !this.safeUrl(attr.value))) {
+                        child.removeAttribute(attr.name);
+                    }
+                });
+
+                if (tag === 'a' && /^https?:/i.test(child.getAttribute('href') || '')) {
+                    child.setAttribute('target', '_blank');
+                    child.setAttribute('rel', 'noopener noreferrer');
+                }
+
+                walk(child);
+            });
+        };
+
+        walk(template.content);
+        return template.innerHTML;
+    }
+};
+
+// Exportar para uso em outros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Markdown;
+} else if (typeof window !== 'undefined') {
+    window.Markdown = Markdown;
+}
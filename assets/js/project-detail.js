@@ -0,0 +1,366 @@
+/**
+ * Project Detail
+ * Modal de detalhes do projeto com galeria, acessível por link direto (#project-<id>)
+ */
+
+class ProjectDetail {
+    /**
+     * @param {Projects} projects - Instância que carrega os projetos
+     */
+    constructor(projects) {
+        this.projects = projects;
+        this.modal = null;
+        this.project = null;
+        this.galleryIndex = 0;
+        this.lastFocused = null;
+        this.openedFromPage = false;
+        this.destroyed = false;
+        this.handleHashChange = this.handleHashChange.bind(this);
+        this.handleDocumentClick = this.handleDocumentClick.bind(this);
+        this.translate = this.translate.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.createModal();
+        this.bindEvents();
+
+        // O Router pode ter trocado de página antes dos projetos chegarem
+        this.projects.ready.then(() => {
+            if (!this.destroyed) {
+                this.handleHashChange();
+            }
+        });
+    }
+
+    /**
+     * Criar a estrutura do modal (uma vez por página)
+     */
+    createModal() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'project-modal';
+        this.modal.hidden = true;
+        Utils.render.into(this.modal, Utils.html`
+            <div class="project-modal-backdrop" data-close></div>
+            <div class="project-modal-dialog" role="dialog" aria-modal="true" aria-labelledby="projectModalTitle" tabindex="-1">
+                <button type="button" class="project-modal-close" aria-label="${I18n.t('projects.detail.close')}" data-close>
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+                <div class="project-modal-body"></div>
+            </div>
+        `);
+
+        document.body.appendChild(this.modal);
+        this.dialog = this.modal.querySelector('.project-modal-dialog');
+        this.body = this.modal.querySelector('.project-modal-body');
+    }
+
+    bindEvents() {
+        window.addEventListener('hashchange', this.handleHashChange);
+        document.addEventListener('click', this.handleDocumentClick);
+
+        // Projects já trocou a lista pelos projetos traduzidos: redesenhar o modal aberto
+        document.addEventListener('languageChanged', this.translate);
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target.closest('[data-close]')) {
+                this.close();
+                return;
+            }
+
+            const thumb = e.target.closest('[data-gallery-index]');
+            if (thumb) {
+                this.showImage(Number(thumb.dataset.galleryIndex));
+                return;
+            }
+
+            const nav = e.target.closest('[data-gallery-step]');
+            if (nav) {
+                this.showImage(this.galleryIndex + Number(nav.dataset.galleryStep));
+            }
+        });
+
+        this.modal.addEventListener('keydown', (e) => {
+            this.handleKeydown(e);
+        });
+    }
+
+    /**
+     * Remover o modal e os listeners globais (ao sair da página pelo Router)
+     */
+    destroy() {
+        this.destroyed = true;
+        window.removeEventListener('hashchange', this.handleHashChange);
+        document.removeEventListener('click', this.handleDocumentClick);
+        document.removeEventListener('languageChanged', this.translate);
+
+        if (!this.modal.hidden) {
+            document.body.style.overflow = '';
+        }
+
+        this.modal.remove();
+    }
+
+    /**
+     * Lembrar que o modal foi aberto por um clique na página (para fechar com history.back)
+     * @param {MouseEvent} e
+     */
+    handleDocumentClick(e) {
+        const link = e.target.closest('a[href^="#project-"]');
+        if (link) {
+            this.openedFromPage = true;
+            this.lastFocused = link;
+        }
+    }
+
+    /**
+     * Abrir ou fechar o modal de acordo com o hash atual
+     */
+    handleHashChange() {
+        const match = window.location.hash.match(/^#project-(.+)$/);
+
+        if (!match) {
+            this.hide();
+            return;
+        }
+
+        const project = this.projects.projects.find(p => String(p.id) === match[1]);
+
+        if (project) {
+            this.show(project);
+        } else {
+            this.hide();
+        }
+    }
+
+    /**
+     * Fechar o modal voltando no histórico, para o botão voltar continuar coerente
+     */
+    close() {
+        if (this.openedFromPage) {
+            this.openedFromPage = false;
+            window.history.back();
+        } else {
+            // Acesso por link direto: remover o hash sem sair da página
+            const url = new URL(window.location);
+            url.hash = '';
+            window.history.replaceState({}, '', url);
+            this.hide();
+        }
+    }
+
+    /**
+     * Exibir o modal com os dados do projeto
+     * @param {Object} project
+     */
+    show(project) {
+        if (this.modal.hidden) {
+            this.lastFocused = this.lastFocused || document.activeElement;
+        }
+
+        this.project = project;
+        this.galleryIndex = 0;
+        Utils.render.into(this.body, this.renderDetail(project));
+        this.modal.hidden = false;
+        document.body.style.overflow = 'hidden';
+        this.showImage(0);
+        this.dialog.focus();
+    }
+
+    /**
+     * Redesenhar o modal aberto no idioma ativo, mantendo a imagem da galeria
+     */
+    translate() {
+        this.modal.querySelector('.project-modal-close').setAttribute('aria-label', I18n.t('projects.detail.close'));
+
+        if (!this.project) return;
+
+        const index = this.galleryIndex;
+        this.project = this.projects.projects.find(p => p.id === this.project.id) || this.project;
+        Utils.render.into(this.body, this.renderDetail(this.project));
+        this.showImage(index);
+    }
+
+    /**
+     * Esconder o modal e devolver o foco para quem o abriu
+     */
+    hide() {
+        if (this.modal.hidden) {
+            return;
+        }
+
+        this.modal.hidden = true;
+        this.project = null;
+        document.body.style.overflow = '';
+
+        if (this.lastFocused && document.contains(this.lastFocused)) {
+            this.lastFocused.focus();
+        }
+
+        this.lastFocused = null;
+    }
+
+    /**
+     * Imagens da galeria (usa a imagem principal se não houver galeria)
+     * @param {Object} project
+     * @returns {Array<string>}
+     */
+    getGallery(project) {
+        const gallery = Array.isArray(project.gallery) && project.gallery.length > 0
+            ? project.gallery
+            : [project.image];
+
+        return gallery.map(src => this.projects.resolvePath(src));
+    }
+
+    /**
+     * Mostrar uma imagem da galeria (com rotação nas extremidades)
+     * @param {number} index
+     */
+    showImage(index) {
+        const images = this.getGallery(this.project);
+        const total = images.length;
+
+        this.galleryIndex = (index + total) % total;
+
+        const main = this.body.querySelector('.project-gallery-image');
+        main.src = images[this.galleryIndex];
+        main.alt = I18n.t('projects.detail.imageAlt', {
+            title: this.project.title,
+            index: this.galleryIndex + 1,
+            total
+        });
+
+        this.body.querySelectorAll('[data-gallery-index]').forEach(thumb => {
+            const isActive = Number(thumb.dataset.galleryIndex) === this.galleryIndex;
+            thumb.classList.toggle('active', isActive);
+            thumb.setAttribute('aria-current', String(isActive));
+        });
+    }
+
+    /**
+     * Teclado: Escape fecha, setas navegam na galeria e Tab fica preso no modal
+     * @param {KeyboardEvent} e
+     */
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+            if (e.target.closest('input, textarea, select')) return;
+            e.preventDefault();
+            this.showImage(this.galleryIndex + (e.key === 'ArrowRight' ? 1 : -1));
+        } else if (e.key === 'Tab') {
+            this.trapFocus(e);
+        }
+    }
+
+    /**
+     * Manter o foco dentro do modal
+     * @param {KeyboardEvent} e
+     */
+    trapFocus(e) {
+        const focusable = Array.from(this.dialog.querySelectorAll(
+            'a[href], button:not([disabled]), input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        )).filter(el => !el.hidden);
+
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === this.dialog)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Markup do conteúdo do modal
+     * @param {Object} project
+     * @returns {SafeHTML}
+     */
+    renderDetail(project) {
+        const links = project.links || {};
+        const images = this.getGallery(project);
+        const highlights = Array.isArray(project.highlights) ? project.highlights : [];
+
+        return Utils.html`
+            <div class="project-gallery" aria-roledescription="${I18n.t('projects.detail.gallery')}">
+                <div class="project-gallery-main">
+                    <img class="project-gallery-image" src="${images[0]}" alt="">
+                    ${images.length > 1 ? Utils.html`
+                        <button type="button" class="project-gallery-nav prev" data-gallery-step="-1" aria-label="${I18n.t('projects.detail.previous')}">&#8249;</button>
+                        <button type="button" class="project-gallery-nav next" data-gallery-step="1" aria-label="${I18n.t('projects.detail.next')}">&#8250;</button>
+                    ` : ''}
+                </div>
+                ${images.length > 1 ? Utils.html`
+                    <div class="project-gallery-thumbs">
+                        ${images.map((src, index) => Utils.html`
+                            <button type="button" class="project-gallery-thumb" data-gallery-index="${index}" aria-label="${I18n.t('projects.detail.viewImage', { index: index + 1 })}">
+                                <img src="${src}" alt="" loading="lazy">
+                            </button>
+                        `)}
+                    </div>
+                ` : ''}
+            </div>
+            <div class="project-detail-content">
+                <div class="project-header">
+                    <h2 id="projectModalTitle" class="project-title">${project.title}</h2>
+                    <span class="project-status-badge status-${project.status}">
+                        ${I18n.t(`projects.status.${project.status}`)}
+                    </span>
+                </div>
+                <p class="project-detail-description">${project.description}</p>
+                ${highlights.length > 0 ? Utils.html`
+                    <h3 class="project-detail-subtitle">${I18n.t('projects.detail.highlights')}</h3>
+                    <ul class="project-highlights">
+                        ${highlights.map(item => Utils.html`<li>${item}</li>`)}
+                    </ul>
+                ` : ''}
+                <div class="project-tech-stack">
+                    <span class="tech-label">${I18n.t('projects.technologies')}</span>
+                    <div class="tech-tags">
+                        ${project.technologies.map(tech => Utils.html`<span class="tech-tag">${tech}</span>`)}
+                    </div>
+                </div>
+                <div class="project-links" data-id="${project.id}">
+                    ${links.live ? Utils.html`<a href="${links.live}" target="_blank" rel="noopener noreferrer" class="project-link primary" data-project-link="live">${I18n.t('projects.viewSite')}</a>` : ''}
+                    ${links.github ? Utils.html`<a href="${links.github}" target="_blank" rel="noopener noreferrer" class="project-link secondary" data-project-link="github">GitHub</a>` : ''}
+                </div>
+            </div>
+        `;
+    }
+}
+
+// Auto-inicializar quando o DOM estiver pronto e a cada página trocada pelo Router
+['DOMContentLoaded', 'pageLoaded'].forEach(type => {
+    document.addEventListener(type, () => {
+        if (window.projects) {
+            window.projectDetail = new ProjectDetail(window.projects);
+        }
+    });
+});
+
+// Desmontar ao sair da página pelo Router
+document.addEventListener('pageUnload', () => {
+    if (window.projectDetail) {
+        window.projectDetail.destroy();
+        window.projectDetail = null;
+    }
+});
+
+// Exportar para uso modular (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectDetail;
+}
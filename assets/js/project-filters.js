@@ -0,0 +1,274 @@
+/**
+ * Project Filters
+ * Barra de filtros da página de projetos: categoria, tecnologias e busca por texto
+ */
+
+class ProjectFilters {
+    /**
+     * @param {string|Element} container - ID ou elemento da barra de filtros
+     * @param {Projects} projects - Instância que controla a grid
+     */
+    constructor(container, projects) {
+        this.container = typeof container === 'string'
+            ? document.getElementById(container)
+            : container;
+        this.projects = projects;
+        this.state = { category: 'all', techs: [], query: '', sort: 'date' };
+        this.destroyed = false;
+        this.handleLanguageChange = this.handleLanguageChange.bind(this);
+        this.handlePopState = this.handlePopState.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.readState();
+        this.projects.ready.then(() => {
+            // O Router pode ter trocado de página antes dos projetos chegarem
+            if (this.destroyed) return;
+
+            this.build();
+            this.bindEvents();
+            this.apply(false);
+        });
+
+        document.addEventListener('languageChanged', this.handleLanguageChange);
+    }
+
+    /**
+     * Remover listeners globais (ao sair da página pelo Router)
+     */
+    destroy() {
+        this.destroyed = true;
+        document.removeEventListener('languageChanged', this.handleLanguageChange);
+        window.removeEventListener('popstate', this.handlePopState);
+    }
+
+    /**
+     * A grid se traduz sozinha; aqui basta refazer os rótulos das categorias
+     */
+    handleLanguageChange() {
+        if (this.categoryGroup) {
+            this.build();
+            this.updateChips();
+        }
+    }
+
+    /**
+     * Voltar/avançar do navegador restaura os filtros do link.
+     * Mudanças só no hash (ex. #project-<id> do modal) não mexem na grid.
+     */
+    handlePopState() {
+        if (window.location.search === this.appliedSearch) return;
+
+        this.readState();
+        this.searchInput.value = this.state.query;
+        this.sortSelect.value = this.state.sort;
+        this.apply();
+    }
+
+    /**
+     * Ler filtros ativos da query string
+     */
+    readState() {
+        const tech = Utils.url.getParam('tech');
+        const sort = Utils.url.getParam('sort');
+
+        this.state = {
+            category: Utils.url.getParam('category') || 'all',
+            techs: tech ? tech.split(',').filter(Boolean) : [],
+            query: Utils.url.getParam('q') || '',
+            // Ordenação desconhecida no link cai na padrão, que o <select> consegue exibir
+            sort: Object.keys(Projects.sorters).includes(sort) ? sort : 'date'
+        };
+    }
+
+    /**
+     * Salvar um filtro na query string
+     * @param {string} name
+     * @param {string} value - Valor vazio remove o parâmetro
+     * @param {boolean} replace - Não criar nova entrada no histórico
+     */
+    writeParam(name, value, replace = false) {
+        if (value) {
+            Utils.url.setParam(name, value, replace);
+        } else {
+            Utils.url.removeParam(name, replace);
+        }
+    }
+
+    /**
+     * Montar chips de categoria e tags de tecnologia a partir dos projetos
+     */
+    build() {
+        const projects = this.projects.projects;
+        const categories = [...new Set(projects.map(project => project.category))];
+        const techs = [...new Set(projects.flatMap(project => project.technologies))]
+            .sort((a, b) => a.localeCompare(b));
+
+        this.searchInput = this.container.querySelector('.filter-search');
+        this.categoryGroup = this.container.querySelector('.filter-categories');
+        this.techGroup = this.container.querySelector('.filter-techs');
+        this.clearButton = this.container.querySelector('.filter-clear');
+        this.sortSelect = this.container.querySelector('.filter-sort');
+
+        Utils.render.into(this.categoryGroup, ['all', ...categories].map(category => Utils.html`
+            <button type="button" class="filter-chip" data-category="${category}" aria-pressed="false">
+                ${category === 'all' ? I18n.t('projects.categories.all') : Projects.getCategoryLabel(category)}
+            </button>
+        `));
+
+        Utils.render.into(this.techGroup, techs.map(tech => Utils.html`
+            <button type="button" class="filter-chip filter-tech" data-tech="${tech}" aria-pressed="false">${tech}</button>
+        `));
+
+        this.searchInput.value = this.state.query;
+        this.sortSelect.value = this.state.sort;
+        this.container.hidden = projects.length === 0;
+    }
+
+    bindEvents() {
+        this.categoryGroup.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-category]');
+            if (!chip) return;
+
+            this.state.category = chip.dataset.category;
+            this.writeParam('category', this.state.category === 'all' ? '' : this.state.category);
+            this.apply();
+        });
+
+        this.techGroup.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-tech]');
+            if (!chip) return;
+
+            const tech = chip.dataset.tech;
+            this.state.techs = this.state.techs.includes(tech)
+                ? this.state.techs.filter(t => t !== tech)
+                : [...this.state.techs, tech];
+            this.writeParam('tech', this.state.techs.join(','));
+            this.apply();
+        });
+
+        // Digitação substitui a entrada do histórico para não poluir o botão voltar
+        this.searchInput.addEventListener('input', Utils.debounce(() => {
+            this.state.query = this.searchInput.value.trim();
+            this.writeParam('q', this.state.query, true);
+            this.apply();
+        }, 200));
+
+        this.sortSelect.addEventListener('change', () => {
+            this.state.sort = this.sortSelect.value;
+            this.writeParam('sort', this.state.sort === 'date' ? '' : this.state.sort);
+            this.apply();
+        });
+
+        this.clearButton.addEventListener('click', () => {
+            this.clear();
+        });
+
+        window.addEventListener('popstate', this.handlePopState);
+    }
+
+    /**
+     * Limpar todos os filtros
+     */
+    clear() {
+        this.state = { ...this.state, category: 'all', techs: [], query: '' };
+        this.searchInput.value = '';
+
+        const url = new URL(window.location);
+        ['category', 'tech', 'q'].forEach(name => url.searchParams.delete(name));
+        window.history.pushState({}, '', url);
+
+        this.apply();
+    }
+
+    /**
+     * Normalizar texto para busca (minúsculas e sem acentos)
+     * @param {string} text
+     * @returns {string}
+     */
+    normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    /**
+     * Verificar se um projeto corresponde aos filtros ativos
+     * @param {Object} project
+     * @returns {boolean}
+     */
+    matches(project) {
+        const { category, techs, query } = this.state;
+
+        if (category !== 'all' && project.category !== category) {
+            return false;
+        }
+
+        if (techs.some(tech => !project.technologies.includes(tech))) {
+            return false;
+        }
+
+        if (query) {
+            const haystack = this.normalize(`${project.title} ${project.description}`);
+            return this.normalize(query).split(/\s+/).every(term => haystack.includes(term));
+        }
+
+        return true;
+    }
+
+    /**
+     * Atualizar chips e aplicar filtro e ordenação na grid
+     * @param {boolean} animate
+     */
+    apply(animate = true) {
+        this.appliedSearch = window.location.search;
+        this.updateChips();
+
+        const isFiltered = this.state.category !== 'all' || this.state.techs.length > 0 || this.state.query;
+        this.clearButton.hidden = !isFiltered;
+
+        this.projects.update({
+            filter: isFiltered ? project => this.matches(project) : null,
+            sort: this.state.sort
+        }, animate);
+    }
+
+    /**
+     * Marcar os chips dos filtros ativos
+     */
+    updateChips() {
+        this.categoryGroup.querySelectorAll('[data-category]').forEach(chip => {
+            chip.setAttribute('aria-pressed', String(chip.dataset.category === this.state.category));
+        });
+
+        this.techGroup.querySelectorAll('[data-tech]').forEach(chip => {
+            chip.setAttribute('aria-pressed', String(this.state.techs.includes(chip.dataset.tech)));
+        });
+    }
+}
+
+// Auto-inicializar quando o DOM estiver pronto e a cada página trocada pelo Router
+['DOMContentLoaded', 'pageLoaded'].forEach(type => {
+    document.addEventListener(type, () => {
+        const container = document.getElementById('projectFilters');
+        if (container && window.projects) {
+            window.projectFilters = new ProjectFilters(container, window.projects);
+        }
+    });
+});
+
+// Desmontar ao sair da página pelo Router
+document.addEventListener('pageUnload', () => {
+    if (window.projectFilters) {
+        window.projectFilters.destroy();
+        window.projectFilters = null;
+    }
+});
+
+// Exportar para uso modular (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectFilters;
+}
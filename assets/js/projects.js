@@ -0,0 +1,468 @@
+/**
+ * Projects
+ * Carrega os projetos de data/projects.json, valida cada entrada e renderiza os cards
+ */
+
+class Projects {
+    /**
+     * @param {string|Element} container - ID ou elemento da grid de projetos
+     * @param {Object} options
+     * @param {string} options.source - Caminho do JSON de projetos
+     * @param {string} options.basePath - Prefixo para caminhos relativos à raiz do site
+     * @param {number} options.pageSize - Quantidade de cards renderizados a cada incremento
+     */
+    constructor(container, options = {}) {
+        this.grid = typeof container === 'string'
+            ? document.getElementById(container)
+            : container;
+        this.source = options.source || this.grid.dataset.source || './data/projects.json';
+        this.basePath = options.basePath || this.grid.dataset.basePath || './';
+        this.pageSize = options.pageSize || Number(this.grid.dataset.pageSize) || 9;
+        this.entries = [];
+        this.projects = [];
+        this.status = 'loading';
+        this.filter = null;
+        this.sort = 'date';
+        this.results = [];
+        this.rendered = 0;
+        this.handleLanguageChange = this.handleLanguageChange.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.setupInfiniteScroll();
+        this.ready = I18n.ready.then(() => this.load());
+
+        document.addEventListener('languageChanged', this.handleLanguageChange);
+    }
+
+    /**
+     * Remover sentinela, observer e listeners (ao sair da página pelo Router)
+     */
+    destroy() {
+        if (this.sentinelObserver) {
+            this.sentinelObserver.disconnect();
+        }
+
+        this.sentinel.remove();
+        document.removeEventListener('languageChanged', this.handleLanguageChange);
+    }
+
+    /**
+     * Sentinela observada para carregar mais cards ao chegar no fim da grid
+     */
+    setupInfiniteScroll() {
+        this.sentinel = document.createElement('div');
+        this.sentinel.className = 'projects-sentinel';
+        this.sentinel.setAttribute('aria-hidden', 'true');
+        this.sentinel.hidden = true;
+        this.grid.insertAdjacentElement('afterend', this.sentinel);
+
+        if (!('IntersectionObserver' in window)) {
+            return;
+        }
+
+        const observerOptions = {
+            threshold: 0,
+            rootMargin: '0px 0px 400px 0px'
+        };
+
+        this.sentinelObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.renderMore();
+                }
+            });
+        }, observerOptions);
+
+        this.sentinelObserver.observe(this.sentinel);
+    }
+
+    /**
+     * Buscar e validar os projetos
+     * @returns {Promise<Array>}
+     */
+    async load() {
+        this.renderState('loading');
+
+        try {
+            const response = await fetch(this.source);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ao carregar ${this.source}`);
+            }
+
+            const data = await response.json();
+
+            if (!Array.isArray(data)) {
+                throw new Error('O arquivo de projetos deve conter uma lista');
+            }
+
+            this.entries = data.filter(project => {
+                const errors = Projects.validate(project);
+
+                if (errors.length > 0) {
+                    console.warn(`Projeto ignorado (${project && project.id}):`, errors);
+                    return false;
+                }
+
+                return true;
+            });
+
+            this.projects = this.localize();
+            this.status = 'ready';
+            this.render();
+            this.dispatchCustomEvent('projectsLoaded', { projects: this.projects });
+        } catch (error) {
+            console.error('Erro ao carregar projetos:', error);
+            this.status = 'error';
+            this.renderState('error');
+        }
+
+        return this.projects;
+    }
+
+    /**
+     * Projetos com os campos traduzidos para o idioma ativo
+     * @returns {Array}
+     */
+    localize() {
+        return this.entries.map(project => I18n.localize(project));
+    }
+
+    /**
+     * Traduzir os cards já exibidos, mantendo filtro e ordenação
+     */
+    handleLanguageChange() {
+        if (this.status !== 'ready') {
+            this.renderState(this.status);
+            return;
+        }
+
+        this.projects = this.localize();
+        this.render();
+    }
+
+    /**
+     * Validar um projeto contra o schema
+     * @param {Object} project
+     * @returns {Array<string>} Lista de erros (vazia se válido)
+     */
+    static validate(project) {
+        const schema = Projects.schema;
+        const errors = [];
+
+        if (!project || typeof project !== 'object') {
+            return ['entrada não é um objeto'];
+        }
+
+        schema.required.forEach(field => {
+            if (project[field] === undefined || project[field] === null || project[field] === '') {
+                errors.push(`campo obrigatório ausente: ${field}`);
+            }
+        });
+
+        if (project.status && !schema.status.includes(project.status)) {
+            errors.push(`status inválido: ${project.status}`);
+        }
+
+        if (project.category && !schema.categories.includes(project.category)) {
+            errors.push(`categoria inválida: ${project.category}`);
+        }
+
+        if (project.technologies && !Array.isArray(project.technologies)) {
+            errors.push('technologies deve ser uma lista');
+        }
+
+        ['highlights', 'gallery'].forEach(field => {
+            if (project[field] !== undefined && !Array.isArray(project[field])) {
+                errors.push(`${field} deve ser uma lista`);
+            }
+        });
+
+        if (project.links && typeof project.links !== 'object') {
+            errors.push('links deve ser um objeto');
+        } else if (project.links) {
+            // Apenas http(s)/mailto: o card não mostraria links recusados por Utils.safeUrl
+            Object.entries(project.links).forEach(([name, url]) => {
+                if (url && !/^(https?|mailto):/i.test(Utils.safeUrl(url))) {
+                    errors.push(`link inválido em links.${name}: ${url}`);
+                }
+            });
+        }
+
+        if (project.date && isNaN(new Date(project.date).getTime())) {
+            errors.push(`data inválida: ${project.date}`);
+        }
+
+        // Traduções: { "en": { "title": ..., "description": ..., "highlights": [...] } }
+        if (project.i18n !== undefined) {
+            if (!project.i18n || typeof project.i18n !== 'object' || Array.isArray(project.i18n)) {
+                errors.push('i18n deve ser um objeto');
+            } else {
+                Object.entries(project.i18n).forEach(([locale, fields]) => {
+                    Object.keys(fields || {}).forEach(field => {
+                        if (!schema.localized.includes(field)) {
+                            errors.push(`campo não traduzível em i18n.${locale}: ${field}`);
+                        }
+                    });
+
+                    if (fields && fields.highlights !== undefined && !Array.isArray(fields.highlights)) {
+                        errors.push(`i18n.${locale}.highlights deve ser uma lista`);
+                    }
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Resolver caminhos relativos à raiz do site para a página atual
+     * @param {string} path
+     * @returns {string}
+     */
+    resolvePath(path) {
+        if (!path || /^([a-z]+:)?\/\//i.test(path) || path.startsWith('/')) {
+            return path;
+        }
+
+        return this.basePath + path.replace(/^\.\//, '');
+    }
+
+    /**
+     * Renderizar estados de carregamento, vazio ou erro
+     * @param {string} state - loading | empty | error
+     */
+    renderState(state) {
+        this.grid.setAttribute('aria-busy', state === 'loading' ? 'true' : 'false');
+        Utils.render.into(this.grid, Utils.html`<p class="${state}-state" role="${state === 'error' ? 'alert' : 'status'}">${I18n.t(`projects.${state}`)}</p>`);
+    }
+
+    /**
+     * Renderizar os cards de projeto: filtra, ordena e mostra o primeiro incremento
+     * @param {boolean} animate - Animar a entrada dos cards (usado ao trocar filtros)
+     */
+    render(animate = false) {
+        if (this.projects.length === 0) {
+            this.renderState('empty');
+            return;
+        }
+
+        this.results = this.getResults();
+        this.rendered = 0;
+        this.grid.setAttribute('aria-busy', 'false');
+
+        if (this.results.length === 0) {
+            Utils.render.into(this.grid, Utils.html`<p class="empty-state" role="status">${I18n.t('projects.noMatch')}</p>`);
+            this.updateSentinel();
+            return;
+        }
+
+        this.renderMore(animate);
+    }
+
+    /**
+     * Mostrar o próximo incremento de cards. A grid é atualizada por id:
+     * cards que continuam visíveis (ex. ao trocar filtros) são reaproveitados.
+     * @param {boolean} animate - Animar a entrada dos cards novos
+     */
+    renderMore(animate = false) {
+        if (this.rendered >= this.results.length) {
+            return;
+        }
+
+        const visible = this.results.slice(0, this.rendered + this.pageSize);
+        const created = Utils.render.list(this.grid, visible, {
+            key: project => project.id,
+            render: project => this.renderCard(project)
+        });
+
+        if (animate) {
+            created.forEach(card => card.classList.add('filter-enter'));
+        }
+
+        this.rendered = visible.length;
+        this.updateSentinel();
+    }
+
+    /**
+     * Mostrar a sentinela apenas enquanto houver cards a carregar.
+     * Reobservar força uma nova checagem caso ela continue visível após o incremento.
+     */
+    updateSentinel() {
+        this.sentinel.hidden = this.rendered >= this.results.length;
+
+        if (this.sentinelObserver && !this.sentinel.hidden) {
+            this.sentinelObserver.unobserve(this.sentinel);
+            this.sentinelObserver.observe(this.sentinel);
+        } else if (!this.sentinelObserver) {
+            // Sem IntersectionObserver: renderizar tudo de uma vez
+            while (this.rendered < this.results.length) {
+                this.renderMore();
+            }
+        }
+    }
+
+    /**
+     * Projetos que passam no filtro, na ordem atual (destaques primeiro)
+     * @returns {Array}
+     */
+    getResults() {
+        const comparator = Projects.sorters[this.sort] || Projects.sorters.date;
+        const results = this.filter ? this.projects.filter(this.filter) : this.projects.slice();
+
+        return results.sort((a, b) => {
+            const featured = Number(Boolean(b.featured)) - Number(Boolean(a.featured));
+            return featured || comparator(a, b);
+        });
+    }
+
+    /**
+     * Atualizar filtro e/ou ordenação e renderizar novamente
+     * @param {Object} view
+     * @param {Function|null} view.filter - Recebe um projeto e retorna se deve aparecer
+     * @param {string} view.sort - date | title | status
+     * @param {boolean} animate
+     */
+    update(view = {}, animate = true) {
+        if ('filter' in view) {
+            this.filter = view.filter;
+        }
+
+        if ('sort' in view) {
+            this.sort = Projects.sorters[view.sort] ? view.sort : 'date';
+        }
+
+        this.render(animate);
+    }
+
+    setFilter(predicate) {
+        this.update({ filter: predicate });
+    }
+
+    setSort(sort) {
+        this.update({ sort });
+    }
+
+    /**
+     * Disparar evento customizado
+     */
+    dispatchCustomEvent(eventName, detail = {}) {
+        const event = new CustomEvent(eventName, { detail });
+        document.dispatchEvent(event);
+    }
+
+    /**
+     * Markup de um card de projeto
+     * @param {Object} project
+     * @returns {SafeHTML}
+     */
+    renderCard(project) {
+        const links = project.links || {};
+
+        return Utils.html`
+            <article class="project-card" data-category="${project.category}" data-id="${project.id}">
+                <div class="project-image-container">
+                    <img src="${this.resolvePath(project.image)}" alt="${project.title}" class="project-image" loading="lazy">
+                    <div class="project-overlay">
+                        <div class="project-actions">
+                            ${links.live ? Utils.html`
+                                <a href="${links.live}" target="_blank" rel="noopener noreferrer" class="project-btn primary" data-project-link="live" aria-label="${I18n.t('projects.viewLive')}">
+                                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                        <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"></path>
+                                        <polyline points="15,3 21,3 21,9"></polyline>
+                                        <line x1="10" y1="14" x2="21" y2="3"></line>
+                                    </svg>
+                                    ${I18n.t('projects.viewSite')}
+                                </a>
+                            ` : ''}
+                            ${links.github ? Utils.html`
+                                <a href="${links.github}" target="_blank" rel="noopener noreferrer" class="project-btn secondary" data-project-link="github" aria-label="${I18n.t('projects.viewCode')}">
+                                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                        <path d="M9 19c-5 1.5-5-2.5-7-3m14 6v-3.87a3.37 3.37 0 0 0-.94-2.61c3.14-.35 6.44-1.54 6.44-7A5.44 5.44 0 0 0 20 4.77 5.07 5.07 0 0 0 19.91 1S18.73.65 16 2.48a13.38 13.38 0 0 0-7 0C6.27.65 5.09 1 5.09 1A5.07 5.07 0 0 0 5 4.77a5.44 5.44 0 0 0-1.5 3.78c0 5.42 3.3 6.61 6.44 7A3.37 3.37 0 0 0 9 18.13V22"></path>
+                                    </svg>
+                                    GitHub
+                                </a>
+                            ` : ''}
+                        </div>
+                    </div>
+                    <div class="project-status-badge status-${project.status}">
+                        ${I18n.t(`projects.status.${project.status}`)}
+                    </div>
+                </div>
+                <div class="project-content">
+                    <div class="project-header">
+                        <h3 class="project-title">${project.title}</h3>
+                        <span class="project-date">${I18n.formatDate(project.date, { month: 'short', year: 'numeric' })}</span>
+                    </div>
+                    <p class="project-description">${project.description}</p>
+                    <div class="project-tech-stack">
+                        <span class="tech-label">${I18n.t('projects.technologies')}</span>
+                        <div class="tech-tags">
+                            ${project.technologies.map(tech => Utils.html`<span class="tech-tag">${tech}</span>`)}
+                        </div>
+                    </div>
+                    <div class="project-links">
+                        <a href="#project-${project.id}" class="project-link secondary" aria-label="${I18n.t('projects.detailsOf', { title: project.title })}">${I18n.t('projects.details')}</a>
+                    </div>
+                </div>
+            </article>
+        `;
+    }
+}
+
+/**
+ * Schema dos projetos em data/projects.json
+ */
+Projects.schema = {
+    required: ['id', 'title', 'description', 'image', 'technologies', 'category', 'status', 'date', 'links'],
+    status: ['completed', 'in-progress'],
+    categories: ['web', 'mobile', 'desktop', 'automation', 'other'],
+    localized: ['title', 'description', 'highlights']
+};
+
+/**
+ * Comparadores disponíveis para ordenar a grid
+ */
+Projects.sorters = {
+    date: (a, b) => new Date(b.date) - new Date(a.date),
+    title: (a, b) => a.title.localeCompare(b.title, I18n.locale),
+    status: (a, b) => Projects.schema.status.indexOf(a.status) - Projects.schema.status.indexOf(b.status)
+        || new Date(b.date) - new Date(a.date)
+};
+
+/**
+ * Rótulo exibido para uma categoria (projects.categories.* nos dicionários)
+ * @param {string} category
+ * @returns {string}
+ */
+Projects.getCategoryLabel = category => {
+    const key = `projects.categories.${category}`;
+    const label = I18n.t(key);
+    return label === key ? category : label;
+};
+
+// Auto-inicializar quando o DOM estiver pronto e a cada página trocada pelo Router
+['DOMContentLoaded', 'pageLoaded'].forEach(type => {
+    document.addEventListener(type, () => {
+        const grid = document.getElementById('projectsGrid');
+        if (grid) {
+            window.projects = new Projects(grid);
+        }
+    });
+});
+
+// Desmontar ao sair da página pelo Router
+document.addEventListener('pageUnload', () => {
+    if (window.projects) {
+        window.projects.destroy();
+        window.projects = null;
+    }
+});
+
+// Exportar para uso modular (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Projects;
+}
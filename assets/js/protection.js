@@ -0,0 +1,129 @@
+/**
+ * Protection
+ * Proteção opcional de imagens, desligada por padrão. Atua só nos elementos escolhidos
+ * (foto de perfil e imagens dos projetos): bloqueia o menu de contexto, impede arrastar
+ * e pode sobrepor uma marca d'água. O restante da página e os atalhos do navegador
+ * continuam funcionando normalmente.
+ *
+ * Configuração pelos data-* da tag <script>:
+ * - data-protect: recursos ativos, separados por espaço: contextmenu, drag, watermark
+ * - data-selector: elementos protegidos (padrão: Protection.selector)
+ * - data-watermark: texto da marca d'água (padrão: Protection.watermark)
+ */
+
+const Protection = {
+    /**
+     * Configuração lida da tag <script> deste arquivo
+     */
+    config: document.currentScript ? { ...document.currentScript.dataset } : {},
+
+    /**
+     * Recursos que podem ser ativados em data-protect
+     */
+    available: ['contextmenu', 'drag', 'watermark'],
+
+    selector: '.profile-image, .project-image, .project-gallery-image',
+
+    watermark: '© Guilherme Silveira',
+
+    /**
+     * Recursos ativos (vazio = módulo desligado)
+     */
+    features: [],
+
+    init() {
+        this.features = (this.config.protect || '')
+            .split(/[\s,]+/)
+            .filter(feature => this.available.includes(feature));
+
+        if (this.features.length === 0) {
+            return;
+        }
+
+        this.selector = this.config.selector || this.selector;
+        this.watermark = this.config.watermark || this.watermark;
+
+        if (this.has('contextmenu')) {
+            document.addEventListener('contextmenu', (e) => {
+                if (this.isProtected(e.target)) {
+                    e.preventDefault();
+                }
+            });
+        }
+
+        if (this.has('drag')) {
+            document.addEventListener('dragstart', (e) => {
+                if (this.isProtected(e.target)) {
+                    e.preventDefault();
+                }
+            });
+        }
+
+        this.apply(document.body);
+
+        // Imagens que chegam depois: cards, modal dos projetos e páginas trocadas pelo Router
+        this.observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        this.apply(node);
+                    }
+                });
+            });
+        });
+        this.observer.observe(document.body, { childList: true, subtree: true });
+    },
+
+    /**
+     * @param {string} feature
+     * @returns {boolean}
+     */
+    has(feature) {
+        return this.features.includes(feature);
+    },
+
+    /**
+     * @param {EventTarget} target
+     * @returns {boolean}
+     */
+    isProtected(target) {
+        return target instanceof Element && Boolean(target.closest(this.selector));
+    },
+
+    /**
+     * Marcar os elementos protegidos de um trecho do DOM
+     * @param {Element} root
+     */
+    apply(root) {
+        const elements = [
+            ...(root.matches(this.selector) ? [root] : []),
+            ...root.querySelectorAll(this.selector)
+        ];
+
+        elements.forEach(element => {
+            element.classList.add('protected');
+
+            if (this.has('drag')) {
+                element.setAttribute('draggable', 'false');
+            }
+
+            // A marca d'água fica no container, já que <img> não tem ::after
+            if (this.has('watermark') && element.parentElement) {
+                element.parentElement.classList.add('protected-media');
+                element.parentElement.setAttribute('data-watermark', this.watermark);
+            }
+        });
+    }
+};
+
+// Ativar (se configurado) quando o DOM estiver pronto
+document.addEventListener('DOMContentLoaded', () => {
+    Protection.init();
+});
+
+// Exportar para uso em outros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Protection;
+} else if (typeof window !== 'undefined') {
+    window.Protection = Protection;
+}
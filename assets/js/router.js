@@ -0,0 +1,302 @@
+/**
+ * Router
+ * Navegação entre as páginas do site sem recarregar: busca a página de destino,
+ * troca o conteúdo (tudo entre o header e o footer), carrega os scripts que faltam
+ * e mantém a constelação rodando. Qualquer erro cai na navegação normal.
+ *
+ * Eventos no document:
+ * - pageUnload: antes de trocar o conteúdo (módulos da página devem se desmontar)
+ * - pageLoaded: depois de trocar o conteúdo (módulos da página devem se montar)
+ */
+
+const Router = {
+    /**
+     * Caminho da página exibida (mudanças só de query/hash ficam com os próprios módulos)
+     */
+    currentPath: null,
+
+    /**
+     * Contador de navegações, para descartar respostas de navegações já substituídas
+     */
+    navigationId: 0,
+
+    init() {
+        if (!window.history || !window.history.pushState || !window.DOMParser) {
+            return;
+        }
+
+        this.currentPath = window.location.pathname;
+        this.markContent(document.body);
+
+        // A posição de rolagem é guardada em history.state e restaurada aqui
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href]');
+
+            if (link && this.shouldHandle(link, e)) {
+                e.preventDefault();
+                this.navigate(link.href);
+            }
+        });
+
+        window.addEventListener('popstate', (e) => {
+            if (window.location.pathname !== this.currentPath) {
+                this.navigate(window.location.href, { push: false, scroll: e.state && e.state.scroll });
+            }
+        });
+
+        // Guardar a rolagem também ao sair do site, para o voltar do navegador
+        window.addEventListener('pagehide', () => {
+            this.saveScroll();
+        });
+    },
+
+    /**
+     * Conteúdo da página: filhos diretos do body que não são o canvas, scripts
+     * ou os componentes compartilhados (ainda como [data-include] neste ponto)
+     * @param {Element} body
+     * @returns {Array<Element>}
+     */
+    getContent(body) {
+        return Array.from(body.children).filter(el =>
+            el.id !== 'constellation' &&
+            el.tagName !== 'SCRIPT' &&
+            !el.hasAttribute('data-include') &&
+            !el.matches('.header, .footer')
+        );
+    },
+
+    markContent(body) {
+        this.getContent(body).forEach(el => el.setAttribute('data-route-content', ''));
+    },
+
+    /**
+     * Clique que o Router deve assumir: botão principal sem modificadores,
+     * mesma origem, mesma aba e para outra página HTML
+     * @param {HTMLAnchorElement} link
+     * @param {MouseEvent} e
+     * @returns {boolean}
+     */
+    shouldHandle(link, e) {
+        if (e.defaultPrevented || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) {
+            return false;
+        }
+
+        if ((link.target && link.target !== '_self') || link.hasAttribute('download') || link.hasAttribute('data-no-router')) {
+            return false;
+        }
+
+        const url = new URL(link.href, window.location.href);
+
+        if (url.origin !== window.location.origin || !/(\/|\.html)$/.test(url.pathname)) {
+            return false;
+        }
+
+        // Âncora na própria página: deixar o navegador rolar
+        const current = new URL(window.location.href);
+        return !(url.hash && url.pathname === current.pathname && url.search === current.search);
+    },
+
+    saveScroll() {
+        const state = window.history.state || {};
+        window.history.replaceState({ ...state, scroll: window.pageYOffset }, '');
+    },
+
+    /**
+     * Navegar para uma página do site
+     * @param {string} href
+     * @param {Object} options
+     * @param {boolean} options.push - Criar entrada no histórico (false no voltar/avançar)
+     * @param {number} options.scroll - Posição a restaurar (voltar/avançar)
+     * @returns {Promise<boolean>} false se a navegação foi substituída por outra
+     */
+    async navigate(href, { push = true, scroll = 0 } = {}) {
+        const url = new URL(href, window.location.href);
+        const id = ++this.navigationId;
+
+        try {
+            const response = await fetch(url.href, { headers: { Accept: 'text/html' } });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ao carregar ${url}`);
+            }
+
+            const html = await response.text();
+            const page = new DOMParser().parseFromString(html, 'text/html');
+
+            if (!page.querySelector('main')) {
+                throw new Error(`Página sem <main>: ${url}`);
+            }
+
+            await this.loadAssets(page, url);
+
+            if (id !== this.navigationId) return false;
+
+            if (push) {
+                this.saveScroll();
+                window.history.pushState({}, '', url);
+            }
+
+            await this.transition(() => this.swap(page));
+            this.restoreScroll(url, push ? 0 : scroll);
+
+            return true;
+        } catch (error) {
+            console.error('Erro na navegação, recarregando a página:', error);
+
+            if (push) {
+                window.location.assign(url.href);
+            } else {
+                window.location.reload();
+            }
+
+            return false;
+        }
+    },
+
+    /**
+     * Estilos e scripts da página de destino que ainda não estão carregados.
+     * Os scripts só registram listeners; os módulos se montam no pageLoaded.
+     * @param {Document} page
+     * @param {URL} url - Endereço da página (base dos caminhos relativos)
+     */
+    async loadAssets(page, url) {
+        const loadedStyles = Array.from(document.querySelectorAll('link[rel="stylesheet"]')).map(link => link.href);
+        const loadedScripts = Array.from(document.scripts).map(script => script.src);
+
+        page.querySelectorAll('head link[rel="stylesheet"]').forEach(link => {
+            const href = new URL(link.getAttribute('href'), url).href;
+
+            if (!loadedStyles.includes(href)) {
+                const style = document.createElement('link');
+                style.rel = 'stylesheet';
+                style.href = href;
+                document.head.appendChild(style);
+            }
+        });
+
+        const scripts = Array.from(page.querySelectorAll('body script[src]'))
+            .map(script => new URL(script.getAttribute('src'), url).href)
+            .filter(src => !loadedScripts.includes(src));
+
+        // Em ordem, como no carregamento normal
+        for (const src of scripts) {
+            await new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                script.onload = resolve;
+                script.onerror = () => reject(new Error(`Falha ao carregar ${src}`));
+                document.body.appendChild(script);
+            });
+        }
+    },
+
+    /**
+     * Usar a View Transitions API quando disponível
+     * @param {Function} update - Troca do conteúdo
+     * @returns {Promise}
+     */
+    async transition(update) {
+        if (document.startViewTransition && !Utils.prefersReducedMotion()) {
+            await document.startViewTransition(update).updateCallbackDone;
+        } else {
+            update();
+        }
+    },
+
+    /**
+     * Trocar título, metadados e conteúdo pelos da nova página
+     * @param {Document} page
+     */
+    swap(page) {
+        this.dispatchCustomEvent('pageUnload');
+
+        document.title = page.title;
+
+        const title = page.querySelector('title');
+        if (title && title.hasAttribute('data-i18n')) {
+            document.querySelector('title').setAttribute('data-i18n', title.getAttribute('data-i18n'));
+        }
+
+        ['description', 'keywords', 'robots'].forEach(name => {
+            const current = document.querySelector(`meta[name="${name}"]`);
+            const next = page.querySelector(`meta[name="${name}"]`);
+
+            if (current && next) {
+                current.replaceWith(document.importNode(next, true));
+            } else if (current) {
+                current.remove();
+            } else if (next) {
+                document.head.appendChild(document.importNode(next, true));
+            }
+        });
+
+        const oldContent = Array.from(document.querySelectorAll('body > [data-route-content]'));
+        const newContent = this.getContent(page.body).map(el => document.importNode(el, true));
+        const anchor = oldContent[0] || document.querySelector('body > .footer');
+
+        newContent.forEach(el => {
+            el.setAttribute('data-route-content', '');
+            document.body.insertBefore(el, anchor);
+        });
+        oldContent.forEach(el => el.remove());
+
+        this.currentPath = window.location.pathname;
+
+        // Links do header/footer dependem da profundidade da página
+        Components.refresh();
+        I18n.apply(document);
+
+        // Componentes dentro do conteúdo (ex. redes sociais) e módulos da nova página
+        Components.load(document.body).then(elements => {
+            if (elements.length > 0) {
+                this.dispatchCustomEvent('componentsLoaded', { elements });
+            }
+        });
+
+        this.dispatchCustomEvent('pageLoaded', { url: window.location.href });
+    },
+
+    /**
+     * Rolar para a âncora, para a posição salva ou para o topo, e mover o foco para o conteúdo
+     * @param {URL} url
+     * @param {number} scroll
+     */
+    restoreScroll(url, scroll) {
+        const target = url.hash && document.getElementById(decodeURIComponent(url.hash.slice(1)));
+
+        if (target) {
+            target.scrollIntoView();
+        } else {
+            window.scrollTo({ top: scroll || 0, behavior: 'instant' });
+        }
+
+        const main = document.querySelector('main');
+        if (main) {
+            main.setAttribute('tabindex', '-1');
+            main.focus({ preventScroll: true });
+        }
+    },
+
+    /**
+     * Disparar evento customizado
+     */
+    dispatchCustomEvent(eventName, detail = {}) {
+        document.dispatchEvent(new CustomEvent(eventName, { detail }));
+    }
+};
+
+// Assumir a navegação quando o DOM estiver pronto
+document.addEventListener('DOMContentLoaded', () => {
+    Router.init();
+});
+
+// Exportar para uso em outros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Router;
+} else if (typeof window !== 'undefined') {
+    window.Router = Router;
+}
@@ -0,0 +1,303 @@
+/**
+ * Skills
+ * Renderiza as habilidades de data/skills.json agrupadas por categoria,
+ * com links para os projetos que usam cada tecnologia
+ */
+
+class Skills {
+    /**
+     * @param {string|Element} container - ID ou elemento onde as habilidades serão desenhadas
+     * @param {Object} options
+     * @param {string} options.source - Caminho do JSON de habilidades
+     * @param {string} options.projectsSource - Caminho do JSON de projetos
+     * @param {string} options.projectsPage - Página de projetos usada nos links
+     * @param {string} options.basePath - Prefixo para caminhos relativos à raiz do site
+     */
+    constructor(container, options = {}) {
+        this.container = typeof container === 'string'
+            ? document.getElementById(container)
+            : container;
+
+        const dataset = this.container.dataset;
+        this.source = options.source || dataset.source || './data/skills.json';
+        this.projectsSource = options.projectsSource || dataset.projectsSource || './data/projects.json';
+        this.projectsPage = options.projectsPage || dataset.projectsPage || './pages/projects.html';
+        this.basePath = options.basePath || dataset.basePath || './';
+        this.categories = [];
+        this.skills = [];
+        this.projects = [];
+        this.status = 'loading';
+        this.handleLanguageChange = this.handleLanguageChange.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.ready = I18n.ready.then(() => this.load());
+
+        document.addEventListener('languageChanged', this.handleLanguageChange);
+    }
+
+    /**
+     * Remover listeners globais (ao sair da página pelo Router)
+     */
+    destroy() {
+        document.removeEventListener('languageChanged', this.handleLanguageChange);
+    }
+
+    /**
+     * Buscar habilidades e projetos
+     * @returns {Promise<Array>}
+     */
+    async load() {
+        Utils.render.into(this.container, Utils.html`<p class="loading-state" role="status">${I18n.t('skills.loading')}</p>`);
+
+        try {
+            const response = await fetch(this.source);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ao carregar ${this.source}`);
+            }
+
+            const data = await response.json();
+
+            this.categories = Array.isArray(data.categories) ? data.categories : [];
+            this.skills = (Array.isArray(data.skills) ? data.skills : []).filter(skill => {
+                const errors = Skills.validate(skill);
+
+                if (errors.length > 0) {
+                    console.warn(`Habilidade ignorada (${skill && skill.name}):`, errors);
+                    return false;
+                }
+
+                return true;
+            });
+
+            this.projects = await this.loadProjects();
+            this.status = 'ready';
+            this.render();
+        } catch (error) {
+            console.error('Erro ao carregar habilidades:', error);
+            this.status = 'error';
+            this.renderError();
+        }
+
+        return this.skills;
+    }
+
+    renderError() {
+        Utils.render.into(this.container, Utils.html`<p class="error-state" role="alert">${I18n.t('skills.error')}</p>`);
+    }
+
+    /**
+     * Redesenhar no idioma ativo (só depois do carregamento)
+     */
+    handleLanguageChange() {
+        if (this.status === 'error') {
+            this.renderError();
+        } else if (this.status === 'ready') {
+            this.render();
+        }
+    }
+
+    /**
+     * Projetos são opcionais: sem eles as habilidades aparecem sem links
+     * @returns {Promise<Array>}
+     */
+    async loadProjects() {
+        try {
+            const response = await fetch(this.projectsSource);
+            const data = response.ok ? await response.json() : [];
+            return Array.isArray(data) ? data : [];
+        } catch (error) {
+            console.warn('Projetos indisponíveis para as habilidades:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Validar uma habilidade contra o schema
+     * @param {Object} skill
+     * @returns {Array<string>} Lista de erros (vazia se válido)
+     */
+    static validate(skill) {
+        const errors = [];
+
+        if (!skill || typeof skill !== 'object') {
+            return ['entrada não é um objeto'];
+        }
+
+        Skills.schema.required.forEach(field => {
+            if (skill[field] === undefined || skill[field] === null || skill[field] === '') {
+                errors.push(`campo obrigatório ausente: ${field}`);
+            }
+        });
+
+        if (skill.level !== undefined && (typeof skill.level !== 'number' || skill.level < 0 || skill.level > 100)) {
+            errors.push(`nível deve ser um número entre 0 e 100: ${skill.level}`);
+        }
+
+        if (skill.years !== undefined && (typeof skill.years !== 'number' || skill.years < 0)) {
+            errors.push(`anos deve ser um número positivo: ${skill.years}`);
+        }
+
+        if (skill.aliases !== undefined && !Array.isArray(skill.aliases)) {
+            errors.push('aliases deve ser uma lista');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Projetos cujas tecnologias mencionam a habilidade (nome ou aliases)
+     * @param {Object} skill
+     * @returns {Array}
+     */
+    getRelatedProjects(skill) {
+        const names = [skill.name, ...(skill.aliases || [])].map(name => name.toLowerCase());
+
+        return this.projects.filter(project =>
+            Array.isArray(project.technologies) &&
+            project.technologies.some(tech => names.includes(String(tech).toLowerCase()))
+        );
+    }
+
+    /**
+     * Link para a página de projetos já filtrada pela tecnologia usada no projeto
+     * @param {Object} skill
+     * @param {Array} related
+     * @returns {string}
+     */
+    getProjectsLink(skill, related) {
+        const names = [skill.name, ...(skill.aliases || [])].map(name => name.toLowerCase());
+        const tech = related[0].technologies.find(t => names.includes(String(t).toLowerCase()));
+
+        return `${this.projectsPage}?tech=${encodeURIComponent(tech)}`;
+    }
+
+    /**
+     * Rótulo textual do nível de proficiência
+     * @param {number} level
+     * @returns {string}
+     */
+    getLevelLabel(level) {
+        const label = Skills.levels.find(item => level >= item.min);
+        return label ? I18n.t(`skills.levels.${label.key}`) : '';
+    }
+
+    /**
+     * Desenhar os grupos de habilidades
+     */
+    render() {
+        if (this.skills.length === 0) {
+            Utils.render.into(this.container, Utils.html`<p class="empty-state" role="status">${I18n.t('skills.empty')}</p>`);
+            return;
+        }
+
+        // Categorias sem definição explícita aparecem no fim, com o próprio id como rótulo
+        const groups = this.categories.map(category => I18n.localize(category));
+        this.skills.forEach(skill => {
+            if (!groups.some(group => group.id === skill.category)) {
+                groups.push({ id: skill.category, label: skill.category });
+            }
+        });
+
+        Utils.render.into(this.container, groups
+            .map(group => ({ ...group, skills: this.skills.filter(skill => skill.category === group.id) }))
+            .filter(group => group.skills.length > 0)
+            .map(group => Utils.html`
+                <div class="skills-group scroll-reveal">
+                    <h3 class="skills-group-title">${group.label}</h3>
+                    <ul class="skills-list">
+                        ${group.skills.map(skill => this.renderSkill(skill))}
+                    </ul>
+                </div>
+            `));
+
+        this.reveal();
+    }
+
+    /**
+     * Markup de uma habilidade
+     * @param {Object} skill
+     * @returns {SafeHTML}
+     */
+    renderSkill(skill) {
+        const related = this.getRelatedProjects(skill);
+        const icon = skill.icon
+            ? Utils.html`<img src="${this.basePath + skill.icon.replace(/^\.\//, '')}" alt="" class="skill-icon" aria-hidden="true">`
+            : '';
+        const years = skill.years
+            ? Utils.html`<span class="skill-years">${I18n.t('skills.years', { count: skill.years })}</span>`
+            : '';
+
+        return Utils.html`
+            <li class="skill-item">
+                <div class="skill-header">
+                    <span class="skill-name">${icon}${skill.name}</span>
+                    ${years}
+                </div>
+                <div class="skill-bar" role="meter" aria-label="${I18n.t('skills.proficiency', { name: skill.name })}"
+                     aria-valuemin="0" aria-valuemax="100" aria-valuenow="${skill.level}"
+                     aria-valuetext="${this.getLevelLabel(skill.level)}">
+                    <div class="skill-bar-fill" style="--skill-level: ${skill.level}%"></div>
+                </div>
+                ${related.length > 0 ? Utils.html`
+                    <a href="${this.getProjectsLink(skill, related)}" class="skill-projects-link">
+                        ${I18n.t('skills.projects', { count: related.length })}
+                    </a>
+                ` : ''}
+            </li>
+        `;
+    }
+
+    /**
+     * Reaproveitar o observer de scroll-reveal do Portfolio
+     */
+    reveal() {
+        if (window.portfolio) {
+            window.portfolio.observeScrollElements(this.container);
+        } else {
+            this.container.querySelectorAll('.scroll-reveal').forEach(el => el.classList.add('revealed'));
+        }
+    }
+}
+
+/**
+ * Schema das habilidades em data/skills.json
+ */
+Skills.schema = {
+    required: ['name', 'category', 'level']
+};
+
+/**
+ * Faixas de proficiência (do maior para o menor); rótulos em skills.levels.* nos dicionários
+ */
+Skills.levels = [
+    { min: 80, key: 'advanced' },
+    { min: 50, key: 'intermediate' },
+    { min: 0, key: 'basic' }
+];
+
+// Auto-inicializar quando o DOM estiver pronto e a cada página trocada pelo Router
+['DOMContentLoaded', 'pageLoaded'].forEach(type => {
+    document.addEventListener(type, () => {
+        const container = document.getElementById('skillsContainer');
+        if (container) {
+            window.skills = new Skills(container);
+        }
+    });
+});
+
+// Desmontar ao sair da página pelo Router
+document.addEventListener('pageUnload', () => {
+    if (window.skills) {
+        window.skills.destroy();
+        window.skills = null;
+    }
+});
+
+// Exportar para uso modular (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Skills;
+}
@@ -0,0 +1,344 @@
+/**
+ * Telemetry
+ * Erros não tratados (exceções e promises rejeitadas) e desempenho da página:
+ * LCP, CLS, INP e tarefas longas via PerformanceObserver, além do tempo de quadro
+ * da constelação. Os relatórios saem em lotes para um reporter configurável,
+ * com amostragem por carregamento e sem repetir o mesmo erro.
+ *
+ * Configuração pelos data-* da tag <script>:
+ * - data-endpoint: URL que recebe os lotes (POST via navigator.sendBeacon)
+ * - data-reporter: beacon (padrão quando há endpoint), console ou storage (testes locais)
+ * - data-sample-rate: fração dos carregamentos que medem desempenho (padrão 1)
+ * - data-error-sample-rate: fração dos carregamentos que reportam erros (padrão 1)
+ * Sem endpoint nem reporter, o módulo fica desligado.
+ */
+
+const Telemetry = {
+    /**
+     * Configuração lida da tag <script> deste arquivo
+     */
+    config: document.currentScript ? { ...document.currentScript.dataset } : {},
+
+    batchSize: 10,
+
+    /**
+     * Tempo máximo (ms) que um relatório espera na fila
+     */
+    flushDelay: 5000,
+
+    /**
+     * Erros distintos reportados por carregamento, no máximo
+     */
+    maxErrors: 20,
+
+    /**
+     * Tamanho máximo da stack enviada
+     */
+    maxStackLength: 2000,
+
+    enabled: false,
+
+    sampleErrors: false,
+
+    sampleMetrics: false,
+
+    /**
+     * Chaves dos erros já reportados (tipo, mensagem e origem)
+     */
+    seen: new Set(),
+
+    init() {
+        const type = this.config.reporter || (this.config.endpoint ? 'beacon' : null);
+
+        if (!type) {
+            return;
+        }
+
+        this.batcher = Utils.createBatcher({
+            sink: type,
+            endpoint: this.config.endpoint,
+            field: 'reports',
+            label: 'telemetria',
+            storageKey: 'telemetryReports',
+            maxStored: 200,
+            batchSize: this.batchSize,
+            flushDelay: this.flushDelay
+        });
+
+        if (!this.batcher) {
+            console.warn(`Reporter de telemetria desconhecido: ${type}`);
+            return;
+        }
+
+        this.enabled = true;
+        this.sampleErrors = Math.random() < this.getRate(this.config.errorSampleRate);
+        this.sampleMetrics = Math.random() < this.getRate(this.config.sampleRate);
+        this.startPage();
+
+        if (this.sampleErrors) {
+            window.addEventListener('error', (e) => {
+                this.captureError(e.error || e.message, 'error', {
+                    source: e.filename ? `${e.filename}:${e.lineno}:${e.colno}` : ''
+                });
+            });
+
+            window.addEventListener('unhandledrejection', (e) => {
+                this.captureError(e.reason, 'unhandledrejection');
+            });
+        }
+
+        if (this.sampleMetrics) {
+            this.observeVitals();
+            document.addEventListener('constellationFrames', (e) => this.recordFrames(e.detail));
+        }
+
+        // Cada página trocada pelo Router tem as próprias medições
+        document.addEventListener('pageUnload', () => this.reportPage());
+        document.addEventListener('pageLoaded', () => this.startPage());
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.reportPage();
+                this.flush();
+            }
+        });
+        window.addEventListener('pagehide', () => {
+            this.reportPage();
+            this.flush();
+        });
+    },
+
+    /**
+     * Taxa de amostragem entre 0 e 1 (padrão 1)
+     * @param {string} value
+     * @returns {number}
+     */
+    getRate(value) {
+        const rate = parseFloat(value);
+        return isNaN(rate) ? 1 : Utils.clamp(rate, 0, 1);
+    },
+
+    /**
+     * Começar a medir a página atual. O caminho fica guardado porque, no pageUnload,
+     * a URL já é a da próxima página.
+     */
+    startPage() {
+        this.path = window.location.pathname;
+        this.resetMetrics();
+    },
+
+    resetMetrics() {
+        this.cls = { value: 0, session: 0, first: 0, last: 0 };
+        this.interactions = new Map();
+        this.longTasks = { count: 0, total: 0, max: 0 };
+        this.frames = { cycles: 0, total: 0, max: 0, tier: null };
+    },
+
+    /**
+     * Contexto da página enviado com cada relatório (sem dados pessoais)
+     * @returns {Object}
+     */
+    getContext() {
+        return {
+            path: this.path,
+            locale: typeof I18n !== 'undefined' ? I18n.locale : document.documentElement.lang,
+            browser: Utils.getBrowserInfo().name,
+            viewport: `${window.innerWidth}x${window.innerHeight}`,
+            online: navigator.onLine,
+            uptime: Math.round(performance.now()),
+            time: Date.now()
+        };
+    },
+
+    /**
+     * Enfileirar um relatório
+     * @param {string} type - error | vitals | measure
+     * @param {Object} data
+     */
+    record(type, data = {}) {
+        if (!this.enabled) return;
+
+        this.batcher.push({ type, ...this.getContext(), ...data });
+    },
+
+    /**
+     * Enfileirar uma medição de desempenho, respeitando a amostragem
+     * @param {string} type
+     * @param {Object} data
+     */
+    recordMetric(type, data = {}) {
+        if (this.sampleMetrics) {
+            this.record(type, data);
+        }
+    },
+
+    /**
+     * Reportar um erro uma única vez por carregamento
+     * @param {Error|*} error - Erro lançado ou motivo da rejeição
+     * @param {string} kind - error | unhandledrejection
+     * @param {Object} extra
+     */
+    captureError(error, kind, extra = {}) {
+        const message = error && error.message ? error.message : String(error);
+        const stack = error && error.stack ? String(error.stack).slice(0, this.maxStackLength) : '';
+        const origin = extra.source || stack.split('\n').find(line => /:\d+:\d+/.test(line)) || '';
+        const key = `${kind}|${message}|${origin.trim()}`;
+
+        if (this.seen.has(key) || this.seen.size >= this.maxErrors) {
+            return;
+        }
+
+        this.seen.add(key);
+        this.record('error', {
+            kind,
+            name: error && error.name ? error.name : null,
+            message,
+            stack,
+            ...extra
+        });
+    },
+
+    /**
+     * Observar um tipo de entrada de desempenho, se o navegador suportar
+     * @param {string} type
+     * @param {Function} callback - Recebe cada PerformanceEntry
+     * @param {Object} options
+     */
+    observe(type, callback, options = {}) {
+        const supported = window.PerformanceObserver && PerformanceObserver.supportedEntryTypes || [];
+
+        if (!supported.includes(type)) return;
+
+        try {
+            new PerformanceObserver(list => list.getEntries().forEach(callback))
+                .observe({ type, buffered: true, ...options });
+        } catch (error) {
+            console.warn(`PerformanceObserver indisponível para ${type}:`, error);
+        }
+    },
+
+    observeVitals() {
+        // LCP só existe para o carregamento do documento, não para as trocas do Router
+        this.observe('largest-contentful-paint', entry => {
+            this.lcp = entry.startTime;
+        });
+
+        // CLS: maior janela de deslocamentos (até 1s entre eles, 5s no total)
+        this.observe('layout-shift', entry => {
+            if (entry.hadRecentInput) return;
+
+            const cls = this.cls;
+
+            if (cls.session && entry.startTime - cls.last < 1000 && entry.startTime - cls.first < 5000) {
+                cls.session += entry.value;
+            } else {
+                cls.session = entry.value;
+                cls.first = entry.startTime;
+            }
+
+            cls.last = entry.startTime;
+            cls.value = Math.max(cls.value, cls.session);
+        });
+
+        // INP: maior duração de cada interação (vários eventos podem compor uma)
+        this.observe('event', entry => {
+            if (!entry.interactionId) return;
+
+            const duration = this.interactions.get(entry.interactionId) || 0;
+            this.interactions.set(entry.interactionId, Math.max(duration, entry.duration));
+        }, { durationThreshold: 40 });
+
+        this.observe('longtask', entry => {
+            const tasks = this.longTasks;
+            tasks.count++;
+            tasks.total += entry.duration;
+            tasks.max = Math.max(tasks.max, entry.duration);
+        });
+    },
+
+    /**
+     * INP aproximado: a pior interação, ignorando uma a cada 50 (percentil 98)
+     * @returns {number|null}
+     */
+    getINP() {
+        const durations = Array.from(this.interactions.values()).sort((a, b) => b - a);
+
+        if (durations.length === 0) return null;
+
+        return durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+    },
+
+    /**
+     * Acumular um ciclo de medições de quadro da constelação (evento constellationFrames)
+     * @param {Object} stats - { average, max, frames, tier }
+     */
+    recordFrames(stats) {
+        const frames = this.frames;
+        frames.cycles++;
+        frames.total += stats.average;
+        frames.max = Math.max(frames.max, stats.max);
+        frames.tier = stats.tier;
+    },
+
+    /**
+     * Reportar as métricas acumuladas da página e recomeçar a contagem
+     */
+    reportPage() {
+        if (!this.sampleMetrics) return;
+
+        const round = value => Math.round(value * 100) / 100;
+        const vitals = {};
+
+        if (this.lcp !== undefined) {
+            vitals.lcp = Math.round(this.lcp);
+            this.lcp = undefined;
+        }
+
+        if (this.cls.value > 0) {
+            vitals.cls = Math.round(this.cls.value * 10000) / 10000;
+        }
+
+        const inp = this.getINP();
+        if (inp !== null) {
+            vitals.inp = Math.round(inp);
+            vitals.interactions = this.interactions.size;
+        }
+
+        if (this.longTasks.count > 0) {
+            vitals.longTasks = { ...this.longTasks, total: Math.round(this.longTasks.total), max: Math.round(this.longTasks.max) };
+        }
+
+        if (this.frames.cycles > 0) {
+            vitals.constellation = {
+                average: round(this.frames.total / this.frames.cycles),
+                max: round(this.frames.max),
+                tier: this.frames.tier
+            };
+        }
+
+        this.resetMetrics();
+
+        if (Object.keys(vitals).length > 0) {
+            this.record('vitals', vitals);
+        }
+    },
+
+    /**
+     * Enviar os relatórios enfileirados
+     */
+    flush() {
+        if (this.batcher) {
+            this.batcher.flush();
+        }
+    }
+};
+
+// Começar já, e não no DOMContentLoaded: erros na inicialização dos módulos também contam
+Telemetry.init();
+
+// Exportar para uso em outros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Telemetry;
+} else if (typeof window !== 'undefined') {
+    window.Telemetry = Telemetry;
+}
@@ -0,0 +1,23 @@
+/**
+ * Theme (pré-pintura)
+ * Carregado de forma síncrona no <head> para aplicar o tema salvo antes da primeira
+ * pintura, sem piscar. O botão do header e a troca ao vivo ficam em Portfolio.setupTheme().
+ */
+
+(function () {
+    let choice = 'system';
+
+    // Mesmo formato de Utils.storage (JSON), que ainda não foi carregado neste ponto
+    try {
+        choice = JSON.parse(localStorage.getItem('theme')) || 'system';
+    } catch (e) {
+        // Storage indisponível: seguir o sistema
+    }
+
+    const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+    const theme = choice === 'light' || choice === 'dark'
+        ? choice
+        : (prefersDark ? 'dark' : 'light');
+
+    document.documentElement.setAttribute('data-theme', theme);
+})();
@@ -88,7 +88,48 @@ const Utils = {
      * @returns {number}
      */
     random(min, max) {
-        return Math.random() * (max - min) + min;
+        return Utils.rng() * (max - min) + min;
+    },
+
+    /**
+     * Fonte de aleatoriedade de Utils.random: Math.random, ou um gerador com semente após setSeed()
+     */
+    rng: Math.random,
+
+    /**
+     * Tornar Utils.random reproduzível
+     * @param {number|string|null} seed - null volta a usar Math.random
+     */
+    setSeed(seed) {
+        Utils.rng = seed === null || seed === undefined ? Math.random : Utils.createRandom(seed);
+    },
+
+    /**
+     * Criar um gerador pseudoaleatório com semente (mulberry32).
+     * A mesma semente sempre produz a mesma sequência.
+     * @param {number|string} seed - Números (ou strings numéricas) são usados direto; outras strings passam por hash
+     * @returns {Function} Função que retorna um número em [0, 1)
+     */
+    createRandom(seed) {
+        const numeric = Number(seed);
+        let state;
+
+        if (String(seed).trim() !== '' && Number.isFinite(numeric)) {
+            state = numeric >>> 0;
+        } else {
+            // Hash FNV-1a da string
+            state = 0x811c9dc5;
+            for (let i = 0; i < String(seed).length; i++) {
+                state = Math.imul(state ^ String(seed).charCodeAt(i), 0x01000193) >>> 0;
+            }
+        }
+
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
     },
 
     /**
@@ -191,15 +232,16 @@ const Utils = {
     /**
      * Formatar data
      * @param {Date} date 
-     * @param {string} locale 
+     * @param {string} locale - Padrão: idioma ativo do I18n (ou pt-BR)
+     * @param {Object} options - Opções do Intl.DateTimeFormat
      * @returns {string}
      */
-    formatDate(date, locale = 'pt-BR') {
-        return new Intl.DateTimeFormat(locale, {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-        }).format(date);
+    formatDate(date, locale = typeof I18n !== 'undefined' ? I18n.locale : 'pt-BR', options = {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    }) {
+        return new Intl.DateTimeFormat(locale, options).format(date);
     },
 
     /**
@@ -344,16 +386,21 @@ const Utils = {
             return this.getParams().get(name);
         },
 
-        setParam(name, value) {
+        /**
+         * @param {string} name
+         * @param {string} value
+         * @param {boolean} replace - Substituir a entrada atual do histórico em vez de criar outra
+         */
+        setParam(name, value, replace = false) {
             const url = new URL(window.location);
             url.searchParams.set(name, value);
-            window.history.pushState({}, '', url);
+            window.history[replace ? 'replaceState' : 'pushState']({}, '', url);
         },
 
-        removeParam(name) {
+        removeParam(name, replace = false) {
             const url = new URL(window.location);
             url.searchParams.delete(name);
-            window.history.pushState({}, '', url);
+            window.history[replace ? 'replaceState' : 'pushState']({}, '', url);
         }
     },
 
@@ -368,7 +415,13 @@ const Utils = {
                 if (key === 'className') {
                     element.className = attributes[key];
                 } else if (key === 'innerHTML') {
-                    element.innerHTML = attributes[key];
+                    // Só marcação vinda de Utils.html; strings comuns viram texto
+                    Utils.render.into(element, attributes[key]);
+                } else if (/^on/i.test(key)) {
+                    // Handlers inline não são aceitos: usar addEventListener
+                    console.warn(`Utils.dom.create: atributo "${key}" ignorado`);
+                } else if (Utils.urlAttributes.includes(key.toLowerCase())) {
+                    element.setAttribute(key, Utils.safeUrl(attributes[key]));
                 } else {
                     element.setAttribute(key, attributes[key]);
                 }
@@ -412,6 +465,196 @@ const Utils = {
         }
     },
 
+    /**
+     * Marcação já escapada, produzida por Utils.html (ou confiada via Utils.trustedHTML)
+     */
+    SafeHTML: class SafeHTML {
+        constructor(value) {
+            this.value = value;
+        }
+
+        toString() {
+            return this.value;
+        }
+    },
+
+    /**
+     * Atributos cujo valor é uma URL e passa por Utils.safeUrl
+     */
+    urlAttributes: ['href', 'src', 'action', 'formaction', 'poster', 'xlink:href'],
+
+    /**
+     * Escapar texto para uso em HTML (conteúdo ou atributo entre aspas)
+     * @param {*} text
+     * @returns {string}
+     */
+    escapeHTML(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * URL segura para href/src: caminhos relativos ou http(s)/mailto válidos
+     * (ex. javascript: e data: são descartados)
+     * @param {string} url
+     * @returns {string} A URL, ou string vazia se não for permitida
+     */
+    safeUrl(url) {
+        const value = String(url == null ? '' : url).trim();
+
+        // Relativa: nenhum ":" antes do primeiro "/", "?" ou "#", e sem "//" de outro host
+        if (!/^[^/?#]*:/.test(value) && !value.startsWith('//')) {
+            return value;
+        }
+
+        return /^(https?|mailto):/i.test(value) && Utils.validate.url(value) ? value : '';
+    },
+
+    /**
+     * Template tag que escapa tudo que é interpolado:
+     * Utils.html`<a href="${url}">${title}</a>`
+     * - texto é escapado; valores logo após href=, src= etc. passam por Utils.safeUrl
+     * - resultados de Utils.html (SafeHTML) entram como marcação
+     * - arrays são concatenados; null e undefined não geram nada
+     * Os atributos interpolados devem estar entre aspas.
+     * @returns {SafeHTML}
+     */
+    html(strings, ...values) {
+        const urlContext = new RegExp(`\\s(${Utils.urlAttributes.join('|')})\\s*=\\s*["']?$`, 'i');
+
+        const markup = strings.reduce((result, string, index) => {
+            if (index === 0) return string;
+
+            const isUrl = urlContext.test(strings[index - 1]);
+            return result + Utils.renderValue(values[index - 1], isUrl) + string;
+        }, '');
+
+        return new Utils.SafeHTML(markup);
+    },
+
+    /**
+     * Converter um valor interpolado em Utils.html
+     * @param {*} value
+     * @param {boolean} isUrl - Valor de atributo de URL
+     * @returns {string}
+     */
+    renderValue(value, isUrl = false) {
+        if (value == null) {
+            return '';
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => Utils.renderValue(item, isUrl)).join('');
+        }
+
+        if (isUrl) {
+            return Utils.escapeHTML(Utils.safeUrl(value));
+        }
+
+        return value instanceof Utils.SafeHTML ? value.value : Utils.escapeHTML(value);
+    },
+
+    /**
+     * Marcar marcação confiável (ex. HTML já sanitizado pelo Markdown) para entrar sem escape
+     * @param {string} markup
+     * @returns {SafeHTML}
+     */
+    trustedHTML(markup) {
+        return new Utils.SafeHTML(String(markup));
+    },
+
+    /**
+     * Renderização no DOM a partir de Utils.html
+     */
+    render: {
+        /**
+         * Marcação de cada elemento renderizado por list(), para saber se mudou
+         */
+        markup: new WeakMap(),
+
+        /**
+         * Substituir o conteúdo de um elemento. SafeHTML (ou uma lista dele) vira marcação;
+         * qualquer outro valor vira texto.
+         * @param {Element} container
+         * @param {SafeHTML|Array<SafeHTML>|string} content
+         */
+        into(container, content) {
+            if (content instanceof Utils.SafeHTML || Array.isArray(content)) {
+                container.innerHTML = Utils.renderValue(content);
+            } else {
+                container.textContent = content == null ? '' : String(content);
+            }
+        },
+
+        /**
+         * Criar o elemento descrito por uma marcação (o primeiro elemento raiz)
+         * @param {SafeHTML} content
+         * @returns {Element|null}
+         */
+        element(content) {
+            const template = document.createElement('template');
+            this.into(template, content);
+            return template.content.firstElementChild;
+        },
+
+        /**
+         * Atualizar os filhos de um container a partir de uma lista, por chave:
+         * elementos de chaves que continuam são mantidos (e só recriados se a marcação mudou),
+         * os novos são criados, os que saíram são removidos e a ordem segue a lista.
+         * Filhos sem data-key (ex. mensagens de estado) são removidos.
+         * @param {Element} container
+         * @param {Array} items
+         * @param {Object} options
+         * @param {Function} options.key - item => chave única
+         * @param {Function} options.render - item => SafeHTML com um único elemento raiz
+         * @returns {Array<Element>} Elementos criados nesta atualização
+         */
+        list(container, items, { key, render }) {
+            const existing = new Map();
+            Array.from(container.children).forEach(child => {
+                if (child.hasAttribute('data-key')) {
+                    existing.set(child.getAttribute('data-key'), child);
+                }
+            });
+
+            const created = [];
+            const nodes = items.map(item => {
+                const id = String(key(item));
+                const content = render(item);
+                const current = existing.get(id);
+
+                if (current && this.markup.get(current) === content.value) {
+                    return current;
+                }
+
+                const node = this.element(content);
+                node.setAttribute('data-key', id);
+                this.markup.set(node, content.value);
+                created.push(node);
+
+                return node;
+            });
+
+            const keep = new Set(nodes);
+            Array.from(container.children).forEach(child => {
+                if (!keep.has(child)) child.remove();
+            });
+
+            nodes.forEach((node, index) => {
+                const reference = container.children[index] || null;
+                if (reference !== node) {
+                    container.insertBefore(node, reference);
+                }
+            });
+
+            return created;
+        }
+    },
+
     /**
      * Validadores
      */
@@ -443,18 +686,133 @@ const Utils = {
         measure(name, fn) {
             const start = performance.now();
             const result = fn();
-            const end = performance.now();
-            console.log(`${name}: ${end - start}ms`);
+            this.report(name, performance.now() - start);
             return result;
         },
 
         async measureAsync(name, fn) {
             const start = performance.now();
             const result = await fn();
-            const end = performance.now();
-            console.log(`${name}: ${end - start}ms`);
+            this.report(name, performance.now() - start);
             return result;
+        },
+
+        /**
+         * Enviar a medição para a telemetria, quando ativa; senão mostrar no console
+         * @param {string} name
+         * @param {number} duration - ms
+         */
+        report(name, duration) {
+            if (typeof Telemetry !== 'undefined' && Telemetry.enabled) {
+                Telemetry.recordMetric('measure', { name, duration: Math.round(duration * 100) / 100 });
+            } else {
+                console.log(`${name}: ${duration}ms`);
+            }
         }
+    },
+
+    /**
+     * Destinos dos lotes montados por createBatcher (analytics e telemetria)
+     */
+    sinks: {
+        /**
+         * POST para um endpoint. text/plain evita o preflight de CORS, que o sendBeacon não faz.
+         * @param {Object} options - { endpoint, field, label }
+         */
+        beacon({ endpoint, field, label }) {
+            return {
+                send(items) {
+                    const body = JSON.stringify({ [field]: items });
+
+                    if (navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([body], { type: 'text/plain' }))) {
+                        return;
+                    }
+
+                    fetch(endpoint, { method: 'POST', body, keepalive: true, credentials: 'omit' })
+                        .catch(error => console.warn(`Erro ao enviar ${label}:`, error));
+                }
+            };
+        },
+
+        /**
+         * Mostrar os lotes no console, para desenvolvimento
+         * @param {Object} options - { label }
+         */
+        console({ label }) {
+            return {
+                send(items) {
+                    console.log(`${label}:`, items);
+                }
+            };
+        },
+
+        /**
+         * Acumular os itens no localStorage, para testes
+         * @param {Object} options - { storageKey, maxStored }
+         */
+        storage({ storageKey, maxStored }) {
+            return {
+                send(items) {
+                    const stored = Utils.storage.get(storageKey, []);
+                    Utils.storage.set(storageKey, stored.concat(items).slice(-maxStored));
+                }
+            };
+        }
+    },
+
+    /**
+     * Fila que envia itens em lotes: quando atinge batchSize, depois de flushDelay ms
+     * ou quando flush() é chamado (ex. ao esconder a aba)
+     * @param {Object} options
+     * @param {string} options.sink - beacon | console | storage (Utils.sinks)
+     * @param {string} options.endpoint - URL do POST (beacon)
+     * @param {string} options.field - Nome da lista no corpo do POST
+     * @param {string} options.label - Nome usado nos logs
+     * @param {string} options.storageKey - Chave do localStorage (storage)
+     * @param {number} options.maxStored - Itens mantidos no localStorage (storage)
+     * @param {number} options.batchSize
+     * @param {number} options.flushDelay - Tempo máximo (ms) que um item espera na fila
+     * @returns {Object|null} { push, flush }, ou null se o destino não existir
+     */
+    createBatcher(options) {
+        const factory = options.sink && this.sinks[options.sink];
+
+        if (!factory) return null;
+
+        const sink = factory(options);
+        const { batchSize = 10, flushDelay = 10000, label } = options;
+        let queue = [];
+        let timer = null;
+
+        const batcher = {
+            push(item) {
+                queue.push(item);
+
+                if (queue.length >= batchSize) {
+                    batcher.flush();
+                } else if (!timer) {
+                    timer = setTimeout(() => batcher.flush(), flushDelay);
+                }
+            },
+
+            flush() {
+                clearTimeout(timer);
+                timer = null;
+
+                if (queue.length === 0) return;
+
+                const items = queue;
+                queue = [];
+
+                try {
+                    sink.send(items);
+                } catch (error) {
+                    console.warn(`Erro ao enviar ${label}:`, error);
+                }
+            }
+        };
+
+        return batcher;
     }
 };
 
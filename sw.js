@@ -0,0 +1,209 @@
+/**
+ * Service Worker
+ * Pré-cache dos arquivos do site, cache em tempo de execução por tipo de recurso
+ * e página offline
+ */
+
+const CACHE_VERSION = 'v11';
+const CACHE_PREFIX = 'portfolio-';
+const CACHES = {
+    static: `${CACHE_PREFIX}static-${CACHE_VERSION}`,
+    data: `${CACHE_PREFIX}data-${CACHE_VERSION}`,
+    images: `${CACHE_PREFIX}images-${CACHE_VERSION}`
+};
+
+const OFFLINE_PAGE = './offline.html';
+const MAX_IMAGES = 60;
+
+// Caminhos relativos à pasta do service worker (funciona também em subdiretórios, ex. GitHub Pages)
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './offline.html',
+    './pages/projects.html',
+    './pages/blog.html',
+    './pages/contact.html',
+    './components/header.html',
+    './components/footer.html',
+    './components/social-links.html',
+    './assets/css/main.css',
+    './assets/css/animations.css',
+    './assets/css/responsive.css',
+    './assets/js/utils.js',
+    './assets/js/telemetry.js',
+    './assets/js/i18n.js',
+    './assets/js/theme.js',
+    './assets/js/constellation.js',
+    './assets/js/constellation-worker.js',
+    './assets/js/components.js',
+    './assets/js/router.js',
+    './assets/js/analytics.js',
+    './assets/js/protection.js',
+    './assets/js/main.js',
+    './assets/js/command-palette.js',
+    './assets/js/projects.js',
+    './assets/js/project-filters.js',
+    './assets/js/project-detail.js',
+    './assets/js/skills.js',
+    './assets/js/contact.js',
+    './assets/js/markdown.js',
+    './assets/js/blog.js',
+    './data/i18n/pt-BR.json',
+    './data/i18n/en.json',
+    './manifest.webmanifest',
+    './assets/images/favicon.ico',
+    './assets/images/icons/icon-192.png',
+    './assets/images/icons/icon-512.png',
+    './assets/images/icons/email.svg',
+    './assets/images/icons/github.svg',
+    './assets/images/icons/instagram.svg',
+    './assets/images/icons/linkedin.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHES.static).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+// Remover caches de versões anteriores
+self.addEventListener('activate', (event) => {
+    const current = Object.values(CACHES);
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith(CACHE_PREFIX) && !current.includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    // Fontes do Google: podem mudar raramente, servir do cache e atualizar em segundo plano
+    if (url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com') {
+        event.respondWith(staleWhileRevalidate(request, CACHES.static));
+        return;
+    }
+
+    if (url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request, CACHES.images, MAX_IMAGES));
+    } else if (url.pathname.includes('/data/')) {
+        event.respondWith(staleWhileRevalidate(request, CACHES.data));
+    } else if (request.destination === 'style' || request.destination === 'script' || request.destination === 'worker') {
+        event.respondWith(staleWhileRevalidate(request, CACHES.static));
+    } else if (url.pathname.includes('/components/')) {
+        // Header, footer e redes sociais vêm por fetch() (destination vazio), não como página
+        event.respondWith(staleWhileRevalidate(request, CACHES.static));
+    }
+});
+
+/**
+ * Páginas: rede primeiro para conteúdo atualizado; cache e página offline como fallback
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHES.static);
+
+    try {
+        const response = await fetch(request);
+
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        return cached || cache.match(OFFLINE_PAGE);
+    }
+}
+
+/**
+ * Imagens: cache primeiro, com limite de entradas
+ * @param {Request} request
+ * @param {string} cacheName
+ * @param {number} maxEntries
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request, cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        const response = await fetch(request);
+
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            trimCache(cacheName, maxEntries);
+        }
+
+        return response;
+    } catch (error) {
+        return Response.error();
+    }
+}
+
+/**
+ * CSS, JS e dados: responder do cache e atualizar em segundo plano.
+ * Sem cópia no cache do tipo, vale a do pré-cache (ex. dicionários em data/i18n).
+ * @param {Request} request
+ * @param {string} cacheName
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request) || await caches.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || network;
+}
+
+/**
+ * Remover as entradas mais antigas quando o cache passa do limite
+ * @param {string} cacheName
+ * @param {number} maxEntries
+ */
+async function trimCache(cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+
+    if (keys.length > maxEntries) {
+        await Promise.all(keys.slice(0, keys.length - maxEntries).map(key => cache.delete(key)));
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * Ciclo de vida da Constellation: depois de destroy() não pode sobrar listener no
+ * window, no document ou no canvas, quadro agendado nem worker ativo.
+ *
+ * Sem dependências: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+
+/**
+ * EventTarget que guarda os listeners registrados
+ * @returns {Object}
+ */
+function createTarget() {
+    const listeners = [];
+
+    return {
+        listeners,
+        addEventListener(type, handler) {
+            listeners.push({ type, handler });
+        },
+        removeEventListener(type, handler) {
+            const index = listeners.findIndex(entry => entry.type === type && entry.handler === handler);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        },
+        dispatchEvent(event) {
+            listeners.filter(entry => entry.type === event.type).forEach(entry => entry.handler(event));
+        }
+    };
+}
+
+/**
+ * Carregar utils.js e constellation.js num contexto com window, document, rAF e (opcionalmente) Worker
+ * @param {Object} options
+ * @param {boolean} options.worker - Worker e OffscreenCanvas disponíveis, com data-worker="true"
+ * @returns {Object}
+ */
+function createEnvironment({ worker = false } = {}) {
+    const frames = new Map();
+    const workers = [];
+    const canvases = [];
+    const ctx = new Proxy({}, { get: (target, key) => key in target ? target[key] : () => ctx });
+    const createCanvas = () => {
+        const canvas = Object.assign(createTarget(), {
+            dataset: worker ? { worker: 'true' } : {},
+            getContext: () => ctx,
+            getBoundingClientRect: () => ({ left: 0, top: 0 }),
+            transferControlToOffscreen: worker ? () => ({}) : undefined,
+            cloneNode: createCanvas,
+            replaceWith: () => {}
+        });
+        canvases.push(canvas);
+        return canvas;
+    };
+    let nextFrame = 0;
+
+    const window = Object.assign(createTarget(), { innerWidth: 1280, innerHeight: 720, devicePixelRatio: 2 });
+    const document = Object.assign(createTarget(), {
+        currentScript: null,
+        getElementById: () => createCanvas()
+    });
+
+    class Worker {
+        constructor() {
+            Object.assign(this, createTarget(), { messages: [], terminated: false });
+            workers.push(this);
+        }
+        postMessage(message) {
+            this.messages.push(message);
+        }
+        terminate() {
+            this.terminated = true;
+        }
+    }
+
+    const context = vm.createContext({
+        window,
+        document,
+        navigator: { userAgent: 'node' },
+        performance,
+        console,
+        URL,
+        CustomEvent: class CustomEvent {
+            constructor(type, init = {}) {
+                this.type = type;
+                this.detail = init.detail;
+            }
+        },
+        requestAnimationFrame: callback => {
+            frames.set(++nextFrame, callback);
+            return nextFrame;
+        },
+        cancelAnimationFrame: id => frames.delete(id),
+        ...(worker ? { Worker, OffscreenCanvas: class OffscreenCanvas {} } : {})
+    });
+
+    // Cada arquivo exporta pelo module.exports, como nos outros módulos do site
+    const load = file => {
+        context.module = { exports: {} };
+        vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file });
+        return context.module.exports;
+    };
+
+    context.Utils = load('assets/js/utils.js');
+    const Constellation = load('assets/js/constellation.js');
+
+    return {
+        window,
+        document,
+        frames,
+        workers,
+        Constellation,
+        // Listener do auto-init (DOMContentLoaded) não pertence a nenhuma instância
+        baseline: [...window.listeners, ...document.listeners],
+
+        runFrames(count) {
+            for (let i = 0; i < count; i++) {
+                const pending = Array.from(frames.values());
+                frames.clear();
+                pending.forEach(callback => callback(performance.now()));
+            }
+        },
+
+        /**
+         * Listeners registrados além dos do carregamento, como "resize"
+         * (inclusive no canvas trocado quando o worker falha)
+         * @returns {Array<string>}
+         */
+        added() {
+            return [window, document, ...canvases]
+                .flatMap(target => target.listeners)
+                .filter(entry => !this.baseline.includes(entry))
+                .map(entry => entry.type)
+                .sort();
+        }
+    };
+}
+
+// Listeners que cada instância registra enquanto está ativa (ordem alfabética)
+const LISTENERS = ['blur', 'pointercancel', 'pointerdown', 'pointermove', 'pointerout', 'pointerup', 'resize'];
+
+test('destroy() remove os listeners e para o loop de animação', () => {
+    const env = createEnvironment();
+    const constellation = new env.Constellation('constellation');
+
+    assert.deepStrictEqual(env.added(), LISTENERS);
+
+    env.runFrames(3);
+    assert.strictEqual(env.frames.size, 1, 'o loop agenda um quadro por vez');
+
+    constellation.destroy();
+    assert.deepStrictEqual(env.added(), []);
+    assert.strictEqual(env.frames.size, 0);
+});
+
+test('destroy() depois de pause()/resume() e chamado duas vezes não deixa nada para trás', () => {
+    const env = createEnvironment();
+    const constellation = new env.Constellation('constellation');
+
+    constellation.pause();
+    constellation.resume();
+    constellation.destroy();
+    constellation.destroy();
+
+    assert.deepStrictEqual(env.added(), []);
+    assert.strictEqual(env.frames.size, 0);
+});
+
+test('com movimento reduzido não há loop, e destroy() remove os listeners', () => {
+    const env = createEnvironment();
+    const constellation = new env.Constellation('constellation', {
+        quality: { tier: 0, ceiling: 0, reducedMotion: true }
+    });
+
+    assert.strictEqual(env.frames.size, 0, 'quadro estático não agenda animação');
+    assert.deepStrictEqual(env.added(), LISTENERS);
+
+    constellation.destroy();
+    assert.deepStrictEqual(env.added(), []);
+});
+
+test('no modo worker, destroy() encerra o worker e remove os listeners', () => {
+    const env = createEnvironment({ worker: true });
+    const constellation = new env.Constellation('constellation');
+    const [worker] = env.workers;
+
+    assert.strictEqual(worker.messages[0].type, 'init');
+    assert.deepStrictEqual(env.added(), [], 'eventos só depois do ready');
+
+    worker.dispatchEvent({ type: 'message', data: { type: 'ready' } });
+    assert.deepStrictEqual(env.added(), LISTENERS);
+
+    constellation.destroy();
+    assert.strictEqual(worker.terminated, true);
+    assert.deepStrictEqual(env.added(), []);
+    assert.strictEqual(env.frames.size, 0);
+});
+
+test('worker que falha antes do ready cai para a thread principal e também é desmontado', () => {
+    const env = createEnvironment({ worker: true });
+    const constellation = new env.Constellation('constellation');
+    const [worker] = env.workers;
+
+    worker.dispatchEvent({ type: 'error', message: 'falha simulada', preventDefault() {} });
+    assert.strictEqual(worker.terminated, true);
+    assert.strictEqual(env.frames.size, 1, 'animação na thread principal');
+
+    constellation.destroy();
+    assert.deepStrictEqual(env.added(), []);
+    assert.strictEqual(env.frames.size, 0);
+});